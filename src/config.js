@@ -86,6 +86,58 @@ export const mqRegister = {
       : parseInt(process.env.MQ_BINDING_PORT),
 };
 
+export const mqSendMaxRetry =
+  process.env.MQ_SEND_MAX_RETRY == null
+    ? 30
+    : parseInt(process.env.MQ_SEND_MAX_RETRY);
+
+// In seconds
+export const mqMessageTimeWindow =
+  process.env.MQ_MESSAGE_TIME_WINDOW == null
+    ? 3600
+    : parseInt(process.env.MQ_MESSAGE_TIME_WINDOW);
+
+// In characters of data string (base64 for binary data)
+export const mqDataChunkSize =
+  process.env.MQ_DATA_CHUNK_SIZE == null
+    ? 1048576
+    : parseInt(process.env.MQ_DATA_CHUNK_SIZE);
+
+export const asDataMaxSize = process.env.AS_DATA_MAX_SIZE || '50mb';
+
+// In seconds
+export const referenceIdRetentionPeriod =
+  process.env.REFERENCE_ID_RETENTION_PERIOD == null
+    ? 86400
+    : parseInt(process.env.REFERENCE_ID_RETENTION_PERIOD);
+
+export const bulkRequestMaxConcurrency =
+  process.env.BULK_REQUEST_MAX_CONCURRENCY == null
+    ? 5
+    : parseInt(process.env.BULK_REQUEST_MAX_CONCURRENCY);
+
+// 'callback' or 'local'
+export const accessorSignProvider =
+  process.env.ACCESSOR_SIGN_PROVIDER || 'callback';
+
+// In milliseconds
+export const accessorSignCallbackTimeout =
+  process.env.ACCESSOR_SIGN_CALLBACK_TIMEOUT == null
+    ? 10000
+    : parseInt(process.env.ACCESSOR_SIGN_CALLBACK_TIMEOUT);
+
+export const accessorSignCallbackMaxRetry =
+  process.env.ACCESSOR_SIGN_CALLBACK_MAX_RETRY == null
+    ? 3
+    : parseInt(process.env.ACCESSOR_SIGN_CALLBACK_MAX_RETRY);
+
+export const accessorKeyDirectoryPath =
+  process.env.ACCESSOR_KEY_DIRECTORY_PATH ||
+  path.join(__dirname, '..', 'devKey', 'accessor');
+
+export const asRejectUnverifiedRequest =
+  process.env.AS_REJECT_UNVERIFIED_REQUEST !== 'false';
+
 export const useExternalCryptoService =
   process.env.USE_EXTERNAL_CRYPTO_SERVICE === 'true' ? true : false;
 
@@ -122,3 +174,12 @@ export const addAccessorRequestMessageTemplateFilepath =
     'request_message_templates',
     'add_accessor.mustache'
   );
+
+export const updateIdentityRequestMessageTemplateFilepath =
+  process.env.UPDATE_IDENTITY_REQUEST_MESSAGE_TEMPLATE_PATH ||
+  path.join(
+    __dirname,
+    '..',
+    'request_message_templates',
+    'update_identity.mustache'
+  );
@@ -24,6 +24,8 @@ import fs from 'fs';
 import path from 'path';
 
 import { callbackToClient } from '../utils/callback';
+import { splitDataIntoChunks } from '../utils/dataChunk';
+import { createSerialQueue } from '../utils/serialQueue';
 import CustomError from '../error/customError';
 import logger from '../logger';
 
@@ -38,12 +40,20 @@ import errorType from '../error/type';
 
 const callbackUrls = {};
 
+// Submission and decline of data for the same request and service,
+// and delivery results of its messages, are handled one after another
+// so that reading and saving submission are not interleaved
+const runInSubmissionQueue = createSerialQueue();
+
 const callbackUrlFilesPrefix = path.join(
   config.dataDirectoryPath,
   'as-callback-url-' + config.nodeId,
 );
 
-[{ key: 'error_url', fileSuffix: 'error' }].forEach(({ key, fileSuffix }) => {
+[
+  { key: 'data_result_url', fileSuffix: 'data_result' },
+  { key: 'error_url', fileSuffix: 'error' },
+].forEach(({ key, fileSuffix }) => {
   try {
     callbackUrls[key] = fs.readFileSync(
       callbackUrlFilesPrefix + '-' + fileSuffix,
@@ -74,7 +84,11 @@ function writeCallbackUrlToFile(fileSuffix, url) {
   });
 }
 
-export const setCallbackUrls = ({ error_url }) => {
+export const setCallbackUrls = ({ data_result_url, error_url }) => {
+  if (data_result_url != null) {
+    callbackUrls.data_result_url = data_result_url;
+    writeCallbackUrlToFile('data_result', data_result_url);
+  }
   if (error_url != null) {
     callbackUrls.error_url = error_url;
     writeCallbackUrlToFile('error', error_url);
@@ -85,50 +99,317 @@ export const getCallbackUrls = () => {
   return callbackUrls;
 };
 
-async function sendDataToRP(rpId, data) {
+function notifyDataResultByCallback(eventDataForCallback) {
+  const url = callbackUrls.data_result_url;
+  const type = 'data_result';
+  if (!url) {
+    logger.error({
+      message: `Callback URL for type: ${type} has not been set`,
+    });
+    return;
+  }
+  return callbackToClient(
+    url,
+    {
+      type,
+      ...eventDataForCallback,
+    },
+    true
+  );
+}
+
+/**
+ * Send data to RP through message queue.
+ * Data longer than configured chunk size is sent in chunks,
+ * each with its hash, to be reassembled by RP.
+ * Chunks are sent one at a time to limit memory used for encrypting them.
+ * Delivery is settled in handleMessageDelivery.
+ * @param {string} rpId
+ * @param {Object} data
+ * @param {string} submissionId
+ */
+async function sendDataToRP(rpId, data, submissionId) {
   let receivers = [];
   let nodeId = rpId;
   // TODO: try catch / error handling
   let { ip, port } = await tendermintNdid.getMsqAddress(nodeId);
   receivers.push({
+    node_id: nodeId,
     ip,
     port,
     ...(await tendermintNdid.getNodePubKey(nodeId)), // TODO: try catch / error handling
   });
-  mq.send(receivers, {
+  const dataInfo = {
     request_id: data.request_id,
     as_id: data.as_id,
     service_id: data.service_id,
     signature: data.signature,
-    data: data.data,
+    content_type: data.content_type,
     height: data.height,
+  };
+
+  const deliveryTag = {
+    type: 'as_data',
+    request_id: data.request_id,
+    service_id: data.service_id,
+    submission_id: submissionId,
+  };
+
+  if (data.data.length <= config.mqDataChunkSize) {
+    await mq.send(
+      receivers,
+      {
+        ...dataInfo,
+        data: data.data,
+      },
+      { deliveryTag: { ...deliveryTag, message_count: 1 } }
+    );
+    return;
+  }
+
+  const chunks = splitDataIntoChunks(data.data, config.mqDataChunkSize);
+  for (let index = 0; index < chunks.length; index++) {
+    await mq.send(
+      receivers,
+      {
+        ...dataInfo,
+        type: 'data_chunk',
+        chunk_index: index,
+        chunk_count: chunks.length,
+        chunk: chunks[index],
+        chunk_hash: utils.hash(chunks[index]),
+      },
+      { deliveryTag: { ...deliveryTag, message_count: chunks.length } }
+    );
+  }
+}
+
+/**
+ * Handle result of sending message queue message with delivery tag.
+ * Data submission is delivered when RP acknowledged all of its messages
+ * and failed when any of them is not acknowledged.
+ * @param {Object} delivery
+ * @param {Object} delivery.tag
+ * @param {boolean} delivery.delivered
+ */
+export async function handleMessageDelivery({ tag, delivered }) {
+  if (tag.type !== 'as_data') return;
+
+  await runInSubmissionQueue(`${tag.request_id}:${tag.service_id}`, () =>
+    settleDataSubmission(tag, delivered)
+  );
+}
+
+async function settleDataSubmission(
+  { request_id, service_id, submission_id, message_count },
+  delivered
+) {
+  const submission = await db.getDataSubmission(request_id, service_id);
+  // Result of a previous submission or already settled
+  if (
+    submission == null ||
+    submission.submission_id !== submission_id ||
+    submission.status !== 'signed'
+  ) {
+    return;
+  }
+
+  if (!delivered) {
+    const err = new CustomError({
+      message: errorType.MQ_MESSAGE_NOT_DELIVERED.message,
+      code: errorType.MQ_MESSAGE_NOT_DELIVERED.code,
+      details: {
+        service_id,
+      },
+    });
+    await failDataSubmission(request_id, service_id, submission.height, err);
+    return;
+  }
+
+  const delivered_count = (submission.delivered_count || 0) + 1;
+  if (delivered_count < message_count) {
+    await updateDataSubmission(request_id, service_id, { delivered_count });
+    return;
+  }
+  await updateDataSubmission(request_id, service_id, {
+    status: 'delivered',
+    delivered_count,
+  });
+  notifyDataResultByCallback({
+    request_id,
+    service_id,
+    success: true,
+    height: submission.height,
   });
 }
 
-export async function processDataForRP(data, additionalData) {
-  let as_id = config.nodeId;
-  let signature = await utils.createSignature(data);
-  
-  // AS node adds transaction to blockchain
-  const { height } = await tendermintNdid.signASData({
-    as_id,
-    request_id: additionalData.requestId,
-    signature,
-    service_id: additionalData.serviceId,
+async function failDataSubmission(requestId, serviceId, height, error) {
+  const err = new CustomError({
+    message: 'Cannot process data for RP',
+    cause: error,
+    details: {
+      service_id: serviceId,
+    },
+  });
+  logger.error(err.getInfoForLog());
+  const errorForCallback = {
+    code: err.getCode(),
+    message: err.getMessageWithCode(),
+  };
+  try {
+    await updateDataSubmission(requestId, serviceId, {
+      status: 'failed',
+      error: errorForCallback,
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Cannot update data submission status',
+      requestId,
+      serviceId,
+      error,
+    });
+  }
+  notifyDataResultByCallback({
+    request_id: requestId,
+    service_id: serviceId,
+    success: false,
+    height,
+    error: errorForCallback,
   });
+  common.notifyError({
+    stage: 'process_data_for_rp',
+    request_id: requestId,
+    error: err,
+  });
+}
 
-  if(!additionalData.rpId) {
-    additionalData.rpId = await db.getRPIdFromRequestId(additionalData.requestId);
+async function updateDataSubmission(requestId, serviceId, values) {
+  const submission = await db.getDataSubmission(requestId, serviceId);
+  await db.setDataSubmission(requestId, serviceId, {
+    ...submission,
+    ...values,
+    updated_time: Date.now(),
+  });
+}
+
+/**
+ * Get status of data submitted for RP
+ * (queued, signed on blockchain, delivered to RP, or failed)
+ * @param {Object} args
+ * @param {string} args.request_id
+ * @param {string} args.service_id
+ * @returns {Promise<Object>} Data submission or null if there is no data submitted
+ */
+export async function getDataSubmission({ request_id, service_id }) {
+  try {
+    return await db.getDataSubmission(request_id, service_id);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get data submission',
+      cause: error,
+    });
   }
+}
 
-  sendDataToRP(additionalData.rpId, {
-    request_id: additionalData.requestId,
-    as_id,
-    signature,
-    service_id: additionalData.serviceId,
-    data,
-    height,
+/**
+ * Queue data to be signed on blockchain and sent to RP.
+ * Result is sent to data_result_url callback when submission is settled.
+ * Data can be submitted again only when previous submission has failed.
+ * @param {string} data
+ * @param {Object} additionalData
+ * @param {string} additionalData.requestId
+ * @param {string} additionalData.serviceId
+ * @param {string} [additionalData.rpId]
+ * @param {string} [additionalData.contentType] Content type of binary data (data is base64 encoded)
+ */
+export async function processDataForRP(data, additionalData) {
+  const { requestId, serviceId } = additionalData;
+  const submissionId = await runInSubmissionQueue(
+    `${requestId}:${serviceId}`,
+    () => queueDataSubmission(additionalData)
+  );
+  signAndSendDataToRP(data, { ...additionalData, submissionId });
+}
+
+async function queueDataSubmission({ requestId, serviceId, contentType }) {
+  const submission = await db.getDataSubmission(requestId, serviceId);
+  if (submission != null && submission.status !== 'failed') {
+    throw new CustomError({
+      message:
+        submission.status === 'declined'
+          ? errorType.DATA_REQUEST_DECLINED.message
+          : errorType.DATA_ALREADY_SUBMITTED.message,
+      code:
+        submission.status === 'declined'
+          ? errorType.DATA_REQUEST_DECLINED.code
+          : errorType.DATA_ALREADY_SUBMITTED.code,
+      clientError: true,
+      details: {
+        request_id: requestId,
+        service_id: serviceId,
+      },
+    });
+  }
+  const now = Date.now();
+  const submissionId = utils.randomBase64Bytes(16);
+  await db.setDataSubmission(requestId, serviceId, {
+    request_id: requestId,
+    service_id: serviceId,
+    submission_id: submissionId,
+    status: 'queued',
+    content_type: contentType,
+    created_time: now,
+    updated_time: now,
   });
+  return submissionId;
+}
+
+async function signAndSendDataToRP(data, additionalData) {
+  const { requestId, serviceId } = additionalData;
+  let height;
+  try {
+    let as_id = config.nodeId;
+    let signature = await utils.createSignature(data);
+
+    // AS node adds transaction to blockchain
+    height = (await tendermintNdid.signASData({
+      as_id,
+      request_id: requestId,
+      signature,
+      service_id: serviceId,
+    })).height;
+
+    await updateDataSubmission(requestId, serviceId, {
+      status: 'signed',
+      height,
+    });
+    await common.addRequestHistoryEvent(requestId, {
+      event: 'data_signed',
+      height,
+      node_id: as_id,
+      service_id: serviceId,
+    });
+
+    if(!additionalData.rpId) {
+      additionalData.rpId = await db.getRPIdFromRequestId(requestId);
+    }
+
+    await sendDataToRP(
+      additionalData.rpId,
+      {
+        request_id: requestId,
+        as_id,
+        signature,
+        service_id: serviceId,
+        data,
+        content_type: additionalData.contentType,
+        height,
+      },
+      additionalData.submissionId
+    );
+  } catch (error) {
+    await failDataSubmission(requestId, serviceId, height, error);
+  }
 }
 
 export async function afterGotDataFromCallback(response, additionalData) {
@@ -137,6 +418,8 @@ export async function afterGotDataFromCallback(response, additionalData) {
     return;
   }
   let data;
+  let contentType;
+  let decline;
   try {
     const result = await response.json();
 
@@ -149,6 +432,8 @@ export async function afterGotDataFromCallback(response, additionalData) {
     });
 
     data = result.data;
+    contentType = result.content_type;
+    decline = result.decline;
   } catch (error) {
     logger.error({
       message: 'Cannot parse data from AS',
@@ -160,7 +445,135 @@ export async function afterGotDataFromCallback(response, additionalData) {
       cause: error,
     });
   }
-  processDataForRP(data, additionalData);
+  if (decline != null) {
+    try {
+      // Same as body of decline data request API
+      if (
+        typeof decline.reason_code !== 'string' ||
+        decline.reason_code.length === 0 ||
+        (decline.reason !== undefined && typeof decline.reason !== 'string')
+      ) {
+        throw new CustomError({
+          message: errorType.BODY_VALIDATION_FAILED.message,
+          code: errorType.BODY_VALIDATION_FAILED.code,
+          clientError: true,
+          details: {
+            decline,
+          },
+        });
+      }
+      await declineDataRequest({
+        request_id: additionalData.requestId,
+        service_id: additionalData.serviceId,
+        reason_code: decline.reason_code,
+        reason: decline.reason,
+      });
+    } catch (error) {
+      const err = new CustomError({
+        message: 'Cannot decline data request',
+        cause: error,
+        details: {
+          service_id: additionalData.serviceId,
+        },
+      });
+      logger.error(err.getInfoForLog());
+      common.notifyError({
+        stage: 'decline_data_request',
+        request_id: additionalData.requestId,
+        error: err,
+      });
+    }
+    return;
+  }
+  await processDataForRP(data, {
+    ...additionalData,
+    contentType,
+  });
+}
+
+/**
+ * Decline data request with reason (e.g. no record of the identity or refused by policy).
+ * Signed refusal is recorded on blockchain and shown to RP in service_list of request status.
+ * @param {Object} args
+ * @param {string} args.request_id
+ * @param {string} args.service_id
+ * @param {string} args.reason_code
+ * @param {string} [args.reason]
+ * @returns {Promise<Object>} Block height of the refusal
+ */
+export async function declineDataRequest({
+  request_id,
+  service_id,
+  reason_code,
+  reason,
+}) {
+  try {
+    return await runInSubmissionQueue(
+      `${request_id}:${service_id}`,
+      async () => {
+        const submission = await db.getDataSubmission(request_id, service_id);
+        if (submission != null && submission.status !== 'failed') {
+          throw new CustomError({
+            message:
+              submission.status === 'declined'
+                ? errorType.DATA_REQUEST_DECLINED.message
+                : errorType.DATA_ALREADY_SUBMITTED.message,
+            code:
+              submission.status === 'declined'
+                ? errorType.DATA_REQUEST_DECLINED.code
+                : errorType.DATA_ALREADY_SUBMITTED.code,
+            clientError: true,
+            details: {
+              request_id,
+              service_id,
+            },
+          });
+        }
+
+        const signature = await utils.createSignature(
+          JSON.stringify({
+            request_id,
+            service_id,
+            reason_code,
+            reason,
+          })
+        );
+        const { height } = await tendermintNdid.declineASData({
+          request_id,
+          service_id,
+          reason_code,
+          reason,
+          signature,
+        });
+
+        const now = Date.now();
+        await db.setDataSubmission(request_id, service_id, {
+          request_id,
+          service_id,
+          status: 'declined',
+          reason_code,
+          reason,
+          height,
+          created_time: now,
+          updated_time: now,
+        });
+        await common.addRequestHistoryEvent(request_id, {
+          event: 'data_declined',
+          height,
+          node_id: config.nodeId,
+          service_id,
+          reason_code,
+        });
+
+        return { height };
+      }
+    );
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot decline data request',
+      cause: error,
+    });
+  }
 }
 
 async function getDataAndSendBackToRP(request, responseDetails) {
@@ -218,14 +631,6 @@ async function getResponseDetails(requestId) {
     requestId,
   });
 
-  // TODO
-  // Verify that (number of consent ≥ min_idp in request).
-  // For each consent with matching request ID:
-  // Verify the identity proof.
-  // Verify the signature.
-  // Verify that the message_hash is matching with the request.
-  // Verify data_request_params with its hash
-
   // Get all signatures
   // and calculate max ial && max aal
   let signatures = [];
@@ -244,6 +649,146 @@ async function getResponseDetails(requestId) {
   };
 }
 
+/**
+ * Verify request and IdP consent on it before sending the request to service callback
+ * and forward it, flagged, when config allows unverified requests.
+ * Request with request params not matching their hash is always refused.
+ * @param {Object} request Request received from message queue
+ */
+async function processRequest(request) {
+  const requestId = request.request_id;
+  let verification;
+  try {
+    verification = await verifyRequest(request);
+  } catch (error) {
+    const err = new CustomError({
+      message: 'Cannot verify request',
+      cause: error,
+      details: {
+        service_id: request.service_id,
+      },
+    });
+    logger.error(err.getInfoForLog());
+    common.notifyError({
+      stage: 'verify_request',
+      request_id: requestId,
+      error: err,
+    });
+    return;
+  }
+
+  if (!verification.valid) {
+    const failedChecks = verification.checks.filter((check) => !check.passed);
+    logger.warn({
+      message: 'Request failed verification',
+      requestId,
+      failedChecks,
+    });
+    await common.addRequestHistoryEvent(requestId, {
+      event: 'verification_failed',
+      node_id: config.nodeId,
+      service_id: request.service_id,
+      failed_checks: failedChecks,
+    });
+    // Tampered request params are never sent to service
+    const requestParamsTampered = failedChecks.some(
+      (check) => check.name === 'request_params_hash'
+    );
+    if (config.asRejectUnverifiedRequest || requestParamsTampered) {
+      common.notifyError({
+        stage: 'verify_request',
+        request_id: requestId,
+        error: new CustomError({
+          message: errorType.REQUEST_VERIFICATION_FAILED.message,
+          code: errorType.REQUEST_VERIFICATION_FAILED.code,
+          details: {
+            service_id: request.service_id,
+            failed_checks: failedChecks,
+          },
+        }),
+      });
+      return;
+    }
+  }
+
+  const responseDetails = await getResponseDetails(requestId);
+  getDataAndSendBackToRP(request, {
+    ...responseDetails,
+    verification,
+  });
+}
+
+/**
+ * Verify request received from RP against blockchain
+ * - Number of IdPs accepting the request is not less than min_idp
+ * - Identity proof of each IdP response (mode 3)
+ * - Signature of each IdP response (mode 3)
+ * - Request message matches its hash
+ * - Request params match their salted hash
+ * @param {Object} request Request received from message queue
+ * @returns {Promise<Object>} { valid, checks: [{ name, passed, reason }] }
+ */
+async function verifyRequest(request) {
+  const requestId = request.request_id;
+  const requestDetail = await tendermintNdid.getRequestDetail({
+    requestId,
+  });
+
+  const checks = [];
+  const addCheck = (name, passed, reason) =>
+    checks.push(passed ? { name, passed } : { name, passed, reason });
+
+  const acceptedCount = requestDetail.response_list.filter(
+    (response) => response.status === 'accept'
+  ).length;
+  addCheck(
+    'consent_count',
+    acceptedCount >= requestDetail.min_idp,
+    `${acceptedCount} IdP(s) accepted, ${requestDetail.min_idp} required`
+  );
+
+  if (requestDetail.mode === 3) {
+    const proofResult = await verifyIdentityProofs(request, requestDetail);
+    addCheck(
+      'identity_proof',
+      proofResult.identityProofValid,
+      proofResult.reason
+    );
+    addCheck(
+      'idp_signature',
+      proofResult.signatureValid,
+      'IdP response signature does not match request message'
+    );
+  }
+
+  addCheck(
+    'request_message_hash',
+    await common.checkRequestIntegrity(requestId, request),
+    'Request message does not match its hash on blockchain'
+  );
+
+  const dataRequest = requestDetail.data_request_list.find(
+    (dataRequest) => dataRequest.service_id === request.service_id
+  );
+  addCheck(
+    'request_params_hash',
+    dataRequest != null &&
+      utils.compareSaltedHash({
+        saltedHash: dataRequest.request_params_hash,
+        salt: request.request_params_salt,
+        plain: request.request_params,
+      }),
+    dataRequest != null
+      ? 'Request params do not match their hash on blockchain'
+      : 'Service is not in data request list on blockchain'
+  );
+
+  return {
+    valid: checks.every((check) => check.passed),
+    checks,
+  };
+}
+
 export async function handleMessageFromQueue(messageStr) {
   logger.info({
     message: 'Received message from MQ',
@@ -253,6 +798,16 @@ export async function handleMessageFromQueue(messageStr) {
     messageStr,
   });
   const message = JSON.parse(messageStr);
+  if (message.type === 'request_cancelled') {
+    await handleRequestCancelled(message);
+    return;
+  }
+  await common.addRequestHistoryEvent(message.request_id, {
+    event: 'request_received',
+    height: message.height,
+    node_id: message.rp_id,
+    service_id: message.service_id,
+  });
 
   const latestBlockHeight = tendermint.latestBlockHeight;
   if (latestBlockHeight <= message.height) {
@@ -270,17 +825,46 @@ export async function handleMessageFromQueue(messageStr) {
     message: 'Processing request',
     requestId: message.request_id,
   });
-  const valid = await common.checkRequestIntegrity(message.request_id, message);
-  if (valid) {
-    // TODO try catch / error handling
-    const responseDetails = await getResponseDetails(message.request_id);
-    //loop and check zk proof for all response
-    if (! (await verifyZKProof(message.request_id, message))) {
-      //TODO, do not answer? or send data to rp and tell them proof is invalid?
-      return;
-    }
-    getDataAndSendBackToRP(message, responseDetails);
+  await processRequest(message);
+}
+
+async function handleRequestCancelled(message) {
+  const requestId = message.request_id;
+  const request = await db.getRequestReceivedFromMQ(requestId);
+  const rpId =
+    request != null ? request.rp_id : await db.getRPIdFromRequestId(requestId);
+  if (!(await common.isRequestCancellationValid(message, rpId))) return;
+
+  await Promise.all([
+    db.removeRequestReceivedFromMQ(requestId),
+    db.removeRPIdFromRequestId(requestId),
+  ]);
+  await common.addRequestHistoryEvent(requestId, {
+    event: 'cancelled',
+    node_id: message.rp_id,
+    service_id: message.service_id,
+    reason_code: message.reason_code,
+    reason: message.reason,
+  });
+
+  const callbackUrl = await db.getServiceCallbackUrl(message.service_id);
+  if (!callbackUrl) {
+    logger.error({
+      message: 'Callback URL for AS has not been set',
+    });
+    return;
   }
+  callbackToClient(
+    callbackUrl,
+    {
+      type: 'request_cancelled',
+      request_id: requestId,
+      service_id: message.service_id,
+      reason_code: message.reason_code,
+      reason: message.reason,
+    },
+    true
+  );
 }
 
 export async function handleTendermintNewBlockHeaderEvent(
@@ -323,16 +907,16 @@ export async function handleTendermintNewBlockHeaderEvent(
         requestId,
       });
       const request = await db.getRequestReceivedFromMQ(requestId);
-      const valid = await common.checkRequestIntegrity(requestId, request);
-      if (valid && await verifyZKProof(requestId)) {
-        const responseDetails = await getResponseDetails(requestId);
-        getDataAndSendBackToRP(request, responseDetails);
-      }
+      // Request has been cancelled
+      if (request == null) return;
+      await processRequest(request);
       db.removeRequestReceivedFromMQ(requestId);
     })
   );
 
   db.removeRequestIdsExpectedInBlock(fromHeight, toHeight);
+
+  await common.handlePendingRequestCancellations(handleRequestCancelled);
 }
 
 export async function upsertAsService({
@@ -401,31 +985,22 @@ export async function getServiceDetail(service_id) {
   }
 }
 
-async function verifyZKProof(request_id, dataFromMq) {
-  if (!dataFromMq) dataFromMq = await db.getRequestReceivedFromMQ(request_id);
-
-  let {
+async function verifyIdentityProofs(request, requestDetail) {
+  const {
     privateProofObjectList,
     namespace,
     identifier,
     request_message,
-  } = dataFromMq;
+  } = request;
 
-  let requestDetail = await tendermintNdid.getRequestDetail({
-    requestId: request_id,
-  });
-  //mode 1 bypass zkp
-  //but still need to check signature of node
-  if(requestDetail.mode === 1) { 
-    /*let response_list = requestDetail.response_list;
-    for(let i = 0 ; i < response_list.length ; i++) {
-      let { signature, idp_id } = response_list[i];
-      let { public_key } = await common.getNodePubKey(idp_id);
-      if(!utils.verifySignature(signature, public_key, JSON.stringify(request_message))) return false; 
-    }*/
-    return true;
+  if (privateProofObjectList == null || privateProofObjectList.length === 0) {
+    return {
+      identityProofValid: false,
+      signatureValid: false,
+      reason: 'No private proof from IdP',
+    };
   }
-  
+
   //query and verify zk, also check conflict with each others
   let accessor_group_id = await tendermintNdid.getAccessorGroupId(
     privateProofObjectList[0].privateProofObject.accessor_id
@@ -435,59 +1010,74 @@ async function verifyZKProof(request_id, dataFromMq) {
       privateProofObjectList[i].privateProofObject.accessor_id
     );
     if (otherGroupId !== accessor_group_id) {
-      //TODO handle this?
-      //throw 'Conflicted response';
-      return false;
+      return {
+        identityProofValid: false,
+        signatureValid: false,
+        reason: 'Accessors of IdP responses are in conflicted accessor groups',
+      };
     }
   }
 
-  let response_list = (await tendermintNdid.getRequestDetail({
-    requestId: request_id,
-  })).response_list;
-  let valid = true;
+  let identityProofValid = true;
+  let signatureValid = true;
+  let reason;
   for (let i = 0; i < privateProofObjectList.length; i++) {
+    const { idp_id, privateProofObject } = privateProofObjectList[i];
     //query accessor_public_key from privateProof.accessor_id
     let public_key = await tendermintNdid.getAccessorKey(
-      privateProofObjectList[i].privateProofObject.accessor_id
+      privateProofObject.accessor_id
     );
+    if (!(await tendermintNdid.isAccessorActive(privateProofObject.accessor_id))) {
+      identityProofValid = false;
+      reason = `Accessor of ${idp_id} response has been revoked`;
+      continue;
+    }
     //query publicProof from response of idp_id in request
-    let publicProof, signature, privateProofValueHash;
-    response_list.forEach((response) => {
-      if (response.idp_id === privateProofObjectList[i].idp_id) {
-        publicProof = JSON.parse(response.identity_proof);
-        signature = response.signature;
-        privateProofValueHash = response.private_proof_hash;
-      }
-    });
+    const response = requestDetail.response_list.find(
+      (response) => response.idp_id === idp_id
+    );
+    if (response == null) {
+      identityProofValid = false;
+      reason = `No response from ${idp_id} on blockchain`;
+      continue;
+    }
 
-    let signatureValid = utils.verifySignature(
-      signature,
+    let responseSignatureValid = utils.verifySignature(
+      response.signature,
       public_key,
       request_message
     );
 
     logger.debug({
       message: 'Verify signature',
-      signatureValid,
+      signatureValid: responseSignatureValid,
       request_message,
       public_key,
-      signature,
-      privateProofObjectList
+      signature: response.signature,
+      privateProofObjectList,
     });
 
     let zkProofValid = utils.verifyZKProof(
       public_key,
-      dataFromMq.challenge,
-      privateProofObjectList[i].privateProofObject.privateProofValue,
-      publicProof,
+      request.challenge,
+      privateProofObject.privateProofValue,
+      JSON.parse(response.identity_proof),
       {
         namespace,
         identifier,
       },
-      privateProofValueHash,
-      privateProofObjectList[i].privateProofObject.padding,
+      response.private_proof_hash,
+      privateProofObject.padding
     );
-    valid = valid && signatureValid && zkProofValid;
+    if (!zkProofValid) {
+      identityProofValid = false;
+      reason = `Invalid identity proof from ${idp_id}`;
+    }
+    signatureValid = signatureValid && responseSignatureValid;
   }
-  return valid;
+  return {
+    identityProofValid,
+    signatureValid,
+    reason,
+  };
 }
@@ -20,6 +20,8 @@
  * 
  */
 
+import { ExponentialBackoff } from 'simple-backoff';
+
 import CustomError from '../error/customError';
 import logger from '../logger';
 
@@ -29,7 +31,7 @@ import * as rp from './rp';
 import * as idp from './idp';
 import * as as from './as';
 import { eventEmitter as messageQueueEvent } from '../mq';
-import { resumeCallbackToClient } from '../utils/callback';
+import { callbackToClient, resumeCallbackToClient } from '../utils/callback';
 import * as utils from '../utils';
 import * as config from '../config';
 import errorType from '../error/type';
@@ -41,6 +43,9 @@ const role = config.role;
 
 let messageQueueAddressRegistered = false;
 let handleMessageFromQueue;
+let handleMessageDelivery;
+let getCallbackUrls;
+let removeExpiredReferenceIdsInterval;
 
 function registerMessageQueueAddress() {
   if (!messageQueueAddressRegistered) {
@@ -50,6 +55,8 @@ function registerMessageQueueAddress() {
 }
 
 if (role === 'rp' || role === 'idp' || role === 'as') {
+  mq.resumeSendingMessages();
+
   tendermint.eventEmitter.on('ready', () => {
     if (
       !config.useExternalCryptoService ||
@@ -71,26 +78,81 @@ if (role === 'rp' || role === 'idp' || role === 'as') {
 
 if (role === 'rp') {
   handleMessageFromQueue = rp.handleMessageFromQueue;
+  getCallbackUrls = rp.getCallbackUrls;
   tendermint.setTendermintNewBlockHeaderEventHandler(
-    rp.handleTendermintNewBlockHeaderEvent
+    notifyErrorOnFailure(
+      'handle_tendermint_block',
+      rp.handleTendermintNewBlockHeaderEvent
+    )
   );
   resumeTimeoutScheduler();
   resumeCallbackToClient();
+  removeExpiredReferenceIdsInterval = setInterval(
+    rp.removeExpiredReferenceIds,
+    60000
+  );
 } else if (role === 'idp') {
   handleMessageFromQueue = idp.handleMessageFromQueue;
+  handleMessageDelivery = idp.handleMessageDelivery;
+  getCallbackUrls = idp.getCallbackUrls;
   tendermint.setTendermintNewBlockHeaderEventHandler(
-    idp.handleTendermintNewBlockHeaderEvent
+    notifyErrorOnFailure(
+      'handle_tendermint_block',
+      idp.handleTendermintNewBlockHeaderEvent
+    )
   );
   resumeTimeoutScheduler();
   resumeCallbackToClient(shouldRetryCallback);
 } else if (role === 'as') {
   handleMessageFromQueue = as.handleMessageFromQueue;
+  handleMessageDelivery = as.handleMessageDelivery;
+  getCallbackUrls = as.getCallbackUrls;
   tendermint.setTendermintNewBlockHeaderEventHandler(
-    as.handleTendermintNewBlockHeaderEvent
+    notifyErrorOnFailure(
+      'handle_tendermint_block',
+      as.handleTendermintNewBlockHeaderEvent
+    )
   );
   resumeCallbackToClient(shouldRetryCallback, as.afterGotDataFromCallback);
 }
 
+/**
+ * Wrap a background event handler so that an error thrown anywhere in it
+ * is logged and notified to client application once
+ * @param {string} stage
+ * @param {function} handler
+ * @param {function} [getRequestId] Get request ID from handler arguments
+ * @returns {function}
+ */
+function notifyErrorOnFailure(stage, handler, getRequestId) {
+  return async function(...args) {
+    try {
+      await handler(...args);
+    } catch (error) {
+      let request_id;
+      try {
+        if (getRequestId) request_id = getRequestId(...args);
+      } catch (e) {
+        // Cannot get request ID from arguments
+      }
+      const err = new CustomError({
+        message: 'Error in background process',
+        cause: error,
+        details: {
+          stage,
+          request_id,
+        },
+      });
+      logger.error(err.getInfoForLog());
+      notifyError({
+        stage,
+        request_id,
+        error: err,
+      });
+    }
+  };
+}
+
 async function resumeTimeoutScheduler() {
   let scheduler = await db.getAllTimeoutScheduler();
   scheduler.forEach(({ requestId, unixTimeout }) => 
@@ -126,7 +188,146 @@ export async function checkRequestIntegrity(requestId, request) {
 }
 
 if (handleMessageFromQueue) {
-  messageQueueEvent.on('message', handleMessageFromQueue);
+  messageQueueEvent.on(
+    'message',
+    notifyErrorOnFailure(
+      'handle_message_from_queue',
+      handleMessageFromQueue,
+      (messageStr) => JSON.parse(messageStr).request_id
+    )
+  );
+  if (handleMessageDelivery) {
+    messageQueueEvent.on(
+      'delivery',
+      notifyErrorOnFailure(
+        'handle_message_delivery',
+        handleMessageDelivery,
+        ({ tag }) => tag.request_id
+      )
+    );
+  }
+  messageQueueEvent.on('receiveError', ({ code, message, ...details }) =>
+    notifyError({
+      stage: 'receive_message',
+      error: { code, message, details },
+    })
+  );
+}
+
+/**
+ * Notify client application of an error which happened in background
+ * (not a part of any HTTP API call) through error callback URL with retry
+ * @param {Object} errorEvent
+ * @param {string} errorEvent.stage Process in which the error happened
+ * @param {string} [errorEvent.request_id]
+ * @param {(CustomError|Object)} errorEvent.error
+ */
+export function notifyError({ stage, request_id, error }) {
+  let code, message;
+  if (error.name === 'CustomError') {
+    code = error.getCode();
+    message = error.getMessageWithRootCause();
+  } else {
+    code = error.code != null ? error.code : errorType.UNKNOWN_ERROR.code;
+    message = error.message;
+  }
+
+  const url = getCallbackUrls != null ? getCallbackUrls().error_url : null;
+  if (!url) {
+    logger.warn({
+      message: 'Error callback URL has not been set',
+      stage,
+      request_id,
+      code,
+    });
+    return;
+  }
+  return callbackToClient(
+    url,
+    {
+      type: 'error',
+      stage,
+      request_id,
+      code,
+      message,
+      details: error.details,
+    },
+    true
+  );
+}
+
+export async function getMqReceiveErrors(nodeId) {
+  try {
+    const receiveErrors =
+      nodeId != null
+        ? await db.getMqReceiveErrors(nodeId)
+        : (await db.getAllMqReceiveErrors()).map(({ error }) => error);
+    return receiveErrors;
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get message queue receive errors',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Record an event in request history for audit
+ * Failure to record is logged and does not interrupt the caller
+ * @param {string} requestId
+ * @param {Object} event
+ * @param {string} event.event Event name
+ * @param {number} [event.height] Block height of related transaction,
+ *   latest block height if not given
+ * @param {number} [event.tx_index] Index of related transaction in block
+ * @param {string} event.node_id Node which triggered the event
+ */
+export async function addRequestHistoryEvent(requestId, event) {
+  try {
+    await db.addRequestHistoryEvent(requestId, {
+      ...event,
+      height: event.height != null ? event.height : tendermint.latestBlockHeight,
+      time: Date.now(),
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Cannot add request history event',
+      requestId,
+      event,
+      error,
+    });
+  }
+}
+
+/**
+ * Get history of a request ordered by block height, then by index of
+ * transaction in block and then by recorded time
+ * @param {string} requestId
+ * @returns {Promise<Array.<Object>>} History events or null if request does not exist
+ */
+export async function getRequestHistory(requestId) {
+  try {
+    const history = await db.getRequestHistory(requestId);
+    if (history.length === 0) {
+      const request = await tendermintNdid.getRequest({ requestId });
+      return request != null ? [] : null;
+    }
+    return history.sort(compareRequestHistoryEvents);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get request history',
+      cause: error,
+    });
+  }
+}
+
+function compareRequestHistoryEvents(a, b) {
+  if (a.height !== b.height) return a.height - b.height;
+  // Events not from a transaction come after transactions in the same block
+  const aTxIndex = a.tx_index != null ? a.tx_index : Infinity;
+  const bTxIndex = b.tx_index != null ? b.tx_index : Infinity;
+  if (aTxIndex !== bTxIndex) return aTxIndex - bTxIndex;
+  return a.time - b.time;
 }
 
 export async function getIdpsMsqDestination({
@@ -162,6 +363,7 @@ export async function getIdpsMsqDestination({
       const nodeId = idpNode.node_id;
       const { ip, port } = await tendermintNdid.getMsqAddress(nodeId);
       return {
+        node_id: nodeId,
         ip,
         port,
         ...(await tendermintNdid.getNodePubKey(nodeId)),
@@ -175,24 +377,69 @@ export async function getIdpsMsqDestination({
 
 export let timeoutScheduler = {};
 
+// Failed timeout transaction is retried with backoff until max retry,
+// then it is retried again only when server restarts
+const TIMEOUT_REQUEST_MAX_RETRY = 10;
+
 export function clearAllScheduler() {
   for (let requestId in timeoutScheduler) {
     clearTimeout(timeoutScheduler[requestId]);
   }
+  clearInterval(removeExpiredReferenceIdsInterval);
 }
 
-export async function timeoutRequest(requestId) {
+// Requests with the same reference ID being created, to create them one
+// after another so that checking and saving reference ID are not interleaved
+const createRequestPromisesByReferenceId = {};
+
+/**
+ * Set request as timed out on blockchain
+ * @param {string} requestId
+ * @param {number} [retryCount] Number of failed attempts before this one
+ * @param {ExponentialBackoff} [backoff] Backoff of retries
+ */
+export async function timeoutRequest(requestId, retryCount = 0, backoff) {
   try {
-    const responseValidList = await db.getIdpResponseValidList(requestId);
+    const requestDetail = await tendermintNdid.getRequestDetail({
+      requestId,
+    });
+    // Request may have been closed or timed out while waiting to retry
+    if (!requestDetail.closed && !requestDetail.timed_out) {
+      const responseValidList = await db.getIdpResponseValidList(requestId);
 
-    await tendermintNdid.timeoutRequest({ requestId, responseValidList });
+      await tendermintNdid.timeoutRequest({ requestId, responseValidList });
+    }
   } catch (error) {
-    logger.error({
+    const err = new CustomError({
       message: 'Cannot set timed out',
-      requestId,
-      error,
+      cause: error,
+      details: {
+        requestId,
+      },
     });
-    throw error;
+    logger.error(err.getInfoForLog());
+    if (retryCount >= TIMEOUT_REQUEST_MAX_RETRY) {
+      delete timeoutScheduler[requestId];
+      notifyError({
+        stage: 'timeout_request',
+        request_id: requestId,
+        error: err,
+      });
+      return;
+    }
+    // Retry later so that the request does not stay open forever
+    if (backoff == null) {
+      backoff = new ExponentialBackoff({
+        min: 10000,
+        max: 600000,
+        factor: 2,
+        jitter: 0.2,
+      });
+    }
+    timeoutScheduler[requestId] = setTimeout(() => {
+      timeoutRequest(requestId, retryCount + 1, backoff);
+    }, backoff.next());
+    return;
   }
   db.removeTimeoutScheduler(requestId);
   db.removeChallengeFromRequestId(requestId);
@@ -227,9 +474,34 @@ export function addTimeoutScheduler(requestId, secondsToTimeout) {
  * @param {number} request.min_aal
  * @param {number} request.min_idp
  * @param {number} request.request_timeout
+ * @param {Object} [request.identity_update] New namespace and identifier
+ *   when IdP requests consent for updating identity
  * @returns {Promise<string>} Request ID
  */
-export async function createRequest({
+export async function createRequest(request) {
+  const { reference_id } = request;
+  const previousPromise = createRequestPromisesByReferenceId[reference_id];
+  const promise = (async () => {
+    if (previousPromise != null) {
+      try {
+        await previousPromise;
+      } catch (error) {
+        // Handled by caller of previous request creation
+      }
+    }
+    return createRequestInternal(request);
+  })();
+  createRequestPromisesByReferenceId[reference_id] = promise;
+  try {
+    return await promise;
+  } finally {
+    if (createRequestPromisesByReferenceId[reference_id] === promise) {
+      delete createRequestPromisesByReferenceId[reference_id];
+    }
+  }
+}
+
+async function createRequestInternal({
   mode,
   namespace,
   identifier,
@@ -242,12 +514,53 @@ export async function createRequest({
   min_aal,
   min_idp,
   request_timeout,
+  identity_update,
 }) {
   try {
-    // existing reference_id, return request ID
+    const paramsHash = utils.hash(
+      utils.stringifyWithSortedKeys({
+        mode,
+        namespace,
+        identifier,
+        idp_id_list,
+        callback_url,
+        data_request_list,
+        request_message,
+        min_ial,
+        min_aal,
+        min_idp,
+        request_timeout,
+      })
+    );
+
+    // existing reference_id, return request ID if parameters are the same
     const requestId = await db.getRequestIdByReferenceId(reference_id);
     if (requestId) {
-      return requestId;
+      const referenceIdInfo = await db.getReferenceIdInfo(reference_id);
+      if (referenceIdInfo == null) {
+        return requestId;
+      }
+      if (
+        referenceIdInfo.expireTime != null &&
+        referenceIdInfo.expireTime <= Date.now()
+      ) {
+        await Promise.all([
+          db.removeRequestIdByReferenceId(reference_id),
+          db.removeReferenceIdInfo(reference_id),
+        ]);
+      } else if (referenceIdInfo.paramsHash !== paramsHash) {
+        throw new CustomError({
+          message: errorType.REFERENCE_ID_CONFLICT.message,
+          code: errorType.REFERENCE_ID_CONFLICT.code,
+          clientError: true,
+          details: {
+            reference_id,
+            request_id: requestId,
+          },
+        });
+      } else {
+        return requestId;
+      }
     }
 
     if (idp_id_list != null && idp_id_list.length > 0 && idp_id_list.length < min_idp) {
@@ -371,13 +684,22 @@ export async function createRequest({
 
     const request_id = utils.createRequestId();
 
+    // Salt of request params is kept by RP and sent only to AS
+    // so that AS can verify request params with their hash on blockchain
+    const dataRequestListWithSalt = [];
     const dataRequestListToBlockchain = [];
     for (let i in data_request_list) {
+      const request_params_salt = utils.generateSalt();
+      dataRequestListWithSalt.push({
+        ...data_request_list[i],
+        request_params_salt,
+      });
       dataRequestListToBlockchain.push({
         service_id: data_request_list[i].service_id,
         as_id_list: data_request_list[i].as_id_list,
         min_as: data_request_list[i].min_as,
-        request_params_hash: utils.hashWithRandomSalt(
+        request_params_hash: utils.hashWithSalt(
+          request_params_salt,
           data_request_list[i].request_params
         ),
       });
@@ -400,12 +722,13 @@ export async function createRequest({
       min_aal,
       min_ial,
       request_timeout,
-      data_request_list: data_request_list,
+      data_request_list: dataRequestListWithSalt,
       request_message,
       // for zk proof
       //challenge,
       rp_id: config.nodeId,
       secretSalt,
+      identity_update,
     };
 
     // save request data to DB to send to AS via mq when authen complete
@@ -428,22 +751,69 @@ export async function createRequest({
 
     // maintain mapping
     await db.setRequestIdByReferenceId(reference_id, request_id);
+    await db.setReferenceIdInfo(reference_id, paramsHash);
     await db.setRequestCallbackUrl(request_id, callback_url);
 
+    let height;
     try {
-      const { height } = await tendermintNdid.createRequest(requestDataToBlockchain);
+      ({ height } = await tendermintNdid.createRequest(requestDataToBlockchain));
+    } catch (error) {
+      await db.removeRequestIdByReferenceId(reference_id);
+      await db.removeReferenceIdInfo(reference_id);
+      await db.removeRequestCallbackUrl(request_id);
+      throw error;
+    }
+    // Keep creation block height to find on-chain creation time later
+    await db.setRequestData(request_id, {
+      ...requestData,
+      creation_block_height: height,
+    });
 
-      // send request data to IDPs via message queue
-      mq.send(receivers, {
+    // send request data to IDPs via message queue
+    // Request is already on blockchain, failing to send is reported
+    // instead of failing request creation
+    let sentToIdp = true;
+    try {
+      await mq.send(receivers, {
         ...requestData,
+        data_request_list,
         height,
       });
     } catch (error) {
-      await db.removeRequestIdByReferenceId(reference_id);
-      await db.removeRequestCallbackUrl(request_id);
-      throw error;
+      sentToIdp = false;
+      const err = new CustomError({
+        message: 'Cannot send request to IdP',
+        cause: error,
+      });
+      logger.error(err.getInfoForLog());
+      notifyError({
+        stage: 'send_request_to_idp',
+        request_id,
+        error: err,
+      });
     }
 
+    if (sentToIdp) {
+      await Promise.all(
+        receivers.map((receiver) =>
+          db.addRequestRecipient(request_id, { node_id: receiver.node_id })
+        )
+      );
+    }
+
+    const createdTime = Date.now();
+    await db.addRequestToIndex({
+      requestId: request_id,
+      referenceId: reference_id,
+      mode,
+      namespace,
+      identifier,
+      status: 'pending',
+      completed: false,
+      createdTime,
+      lastUpdatedTime: createdTime,
+    });
+
     addTimeoutScheduler(request_id, request_timeout);
 
     return request_id;
@@ -458,6 +828,23 @@ export async function createRequest({
 }
 
 export async function verifyZKProof(request_id, idp_id, dataFromMq, mode) {
+  try {
+    return await verifyZKProofInternal(request_id, idp_id, dataFromMq, mode);
+  } catch (error) {
+    const err = new CustomError({
+      message: 'Cannot verify ZK proof',
+      cause: error,
+      details: {
+        request_id,
+        idp_id,
+      },
+    });
+    logger.error(err.getInfoForLog());
+    throw err;
+  }
+}
+
+async function verifyZKProofInternal(request_id, idp_id, dataFromMq, mode) {
 
   let {
     namespace,
@@ -537,13 +924,28 @@ export async function verifyZKProof(request_id, idp_id, dataFromMq, mode) {
         accessor_group_id,
         accessorId: privateProofObject.accessor_id,
       });
-      throw 'Conflicted response';
+      throw new CustomError({
+        message: errorType.CONFLICTED_IDP_RESPONSE.message,
+        code: errorType.CONFLICTED_IDP_RESPONSE.code,
+        details: {
+          accessor_group_id,
+          otherGroupId,
+        },
+      });
     }
   }
 
   //query accessor_public_key from privateProofObject.accessor_id
   let public_key = await tendermintNdid.getAccessorKey(privateProofObject.accessor_id);
 
+  if (!(await tendermintNdid.isAccessorActive(privateProofObject.accessor_id))) {
+    logger.debug({
+      message: 'Accessor has been revoked',
+      accessorId: privateProofObject.accessor_id,
+    });
+    return false;
+  }
+
   //query publicProof from response of idp_id in request
   let publicProof, signature, privateProofValueHash;
   let response_list = (await tendermintNdid.getRequestDetail({
@@ -641,15 +1043,29 @@ export async function handleChallengeRequest(responseId) {
 
   let { ip, port } = await  tendermintNdid.getMsqAddress(idp_id);
   let receiver = [{
+    node_id: idp_id,
     ip,
     port,
     ...(await tendermintNdid.getNodePubKey(idp_id)),
   }];
-  mq.send(receiver, {
-    challenge,
-    request_id,
-    ...nodeId,
-  });
+  try {
+    await mq.send(receiver, {
+      challenge,
+      request_id,
+      ...nodeId,
+    });
+  } catch (error) {
+    const err = new CustomError({
+      message: 'Cannot send challenge to IdP',
+      cause: error,
+    });
+    logger.error(err.getInfoForLog());
+    notifyError({
+      stage: 'send_challenge',
+      request_id,
+      error: err,
+    });
+  }
 }
 
 /**
@@ -667,6 +1083,71 @@ export async function shouldRetryCallback(requestId) {
   return true;
 }
 
+/**
+ * Check that request cancellation notice received from message queue
+ * is sent by the RP who created the request and the request is closed.
+ * A notice for a request which is not yet closed as seen by this node
+ * is kept to be checked again on next block.
+ * @param {Object} message Cancellation notice
+ * @param {string} rpId ID of RP who sent the request to this node
+ * @returns {Promise<boolean>}
+ */
+export async function isRequestCancellationValid(message, rpId) {
+  if (rpId == null || rpId !== message.rp_id) {
+    logger.warn({
+      message: 'Request cancellation is not from RP who created the request',
+      requestId: message.request_id,
+      rpId,
+      senderRpId: message.rp_id,
+    });
+    return false;
+  }
+  const requestDetail = await tendermintNdid.getRequestDetail({
+    requestId: message.request_id,
+  });
+  if (requestDetail == null) {
+    logger.warn({
+      message: 'Received request cancellation for an unknown request',
+      requestId: message.request_id,
+    });
+    return false;
+  }
+  if (!requestDetail.closed) {
+    if (requestDetail.timed_out) {
+      logger.warn({
+        message: 'Received request cancellation for a timed out request',
+        requestId: message.request_id,
+      });
+      return false;
+    }
+    logger.info({
+      message:
+        'Received request cancellation for a request which is not yet closed, will check again on next block',
+      requestId: message.request_id,
+    });
+    await db.addPendingRequestCancellation(message.request_id, message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Handle request cancellation notices which were received before
+ * the request is closed as seen by this node
+ * @param {function} handleRequestCancelled
+ */
+export async function handlePendingRequestCancellations(
+  handleRequestCancelled
+) {
+  const pendingCancellations = await db.getAllPendingRequestCancellations();
+  await Promise.all(
+    pendingCancellations.map(async ({ requestId, message }) => {
+      await db.removePendingRequestCancellation(requestId);
+      await handleRequestCancelled(message);
+    })
+  );
+}
+
 export async function closeRequest(requestId) {
   try {
     const responseValidList = await db.getIdpResponseValidList(requestId);
@@ -27,17 +27,21 @@ import errorType from '../error/type';
 
 import * as tendermintNdid from '../tendermint/ndid';
 import * as utils from '../utils';
+import * as accessorSignProvider from '../utils/accessorSignProvider';
 import * as common from './common';
 import * as config from '../config';
 import * as db from '../db';
 import {
   accessorSign,
-  isAccessorSignUrlSet,
+  isAccessorSignAvailable,
   notifyCreateIdentityResultByCallback,
+  notifyUpdateIdentityResultByCallback,
+  notifyIalChangeToRequesters,
 } from './idp';
 import {
   getRequestMessageForCreatingIdentity,
   getRequestMessageForAddingAccessor,
+  getRequestMessageForUpdatingIdentity,
 } from '../utils/requestMessage';
 
 export async function checkAssociated({namespace, identifier}) {
@@ -110,6 +114,7 @@ export async function addAccessorAfterConsent(request_id, old_accessor_id) {
     sid,
     associated,
     secret,
+    endorsement,
   } = await db.getIdentityFromRequestId(request_id);
   
   let promiseArray = [
@@ -135,11 +140,22 @@ export async function addAccessorAfterConsent(request_id, old_accessor_id) {
   );
 
   await Promise.all(promiseArray);
+  await db.setIdentityAccessor(hash_id, accessor_id, {
+    accessor_id,
+    accessor_type,
+    accessor_public_key,
+    accessor_group_id,
+    added_time: Date.now(),
+  });
+  if (endorsement) {
+    await setEndorsementStatus(request_id, 'completed');
+  }
   db.removeIdentityFromRequestId(request_id);
 
   return {
     secret,
     associated,
+    endorsement,
   };
 }
 
@@ -220,14 +236,20 @@ export async function createNewIdentity(data) {
     let accessor_id = data.accessor_id;
     if(!accessor_id) accessor_id = utils.randomBase64Bytes(32);
 
-    if (!isAccessorSignUrlSet()) {
+    if (!isAccessorSignAvailable()) {
       throw new CustomError({
         message: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.message,
         code: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.code,
       });
     }
 
-    let encryptedHash = await accessorSign(sid, hash_id, accessor_id, reference_id);
+    let encryptedHash = await accessorSign(
+      sid,
+      hash_id,
+      accessor_id,
+      reference_id,
+      accessor_public_key
+    );
     let padding = utils.extractPaddingFromPrivateEncrypt(encryptedHash, accessor_public_key);
     let secret = padding + '|' + encryptedHash;
 
@@ -310,6 +332,13 @@ export async function createNewIdentity(data) {
         })
       ]).then(async () => {
 
+        await db.setIdentityAccessor(hash_id, accessor_id, {
+          accessor_id,
+          accessor_type,
+          accessor_public_key,
+          accessor_group_id,
+          added_time: Date.now(),
+        });
         notifyCreateIdentityResultByCallback({
           request_id: request_id,
           success: true,
@@ -331,12 +360,36 @@ export async function createNewIdentity(data) {
   }
 }
 
-export async function updateIal({ namespace, identifier, ial }) {
+/**
+ * Change IAL of identity and record the change with its reason.
+ * RPs of requests for this identity which are waiting for
+ * this IdP's response are notified of the change.
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {number} data.ial
+ * @param {string} data.reason
+ * @param {string} data.evidence_reference
+ * @param {string} data.operator
+ */
+export async function updateIal({
+  namespace,
+  identifier,
+  ial,
+  reason,
+  evidence_reference,
+  operator,
+}) {
   //check onboard
-  if(!checkAssociated({namespace, identifier})) {
+  await checkAssociatedOrThrow({ namespace, identifier });
+
+  //check max_ial
+  ial = parseFloat(ial);
+  let { max_ial } = await tendermintNdid.getNodeInfo(config.nodeId);
+  if(ial > max_ial) {
     throw new CustomError({
-      message: errorType.IDENTITY_NOT_FOUND.message,
-      code: errorType.IDENTITY_NOT_FOUND.code,
+      message: errorType.MAXIMUM_IAL_EXCEED.message,
+      code: errorType.MAXIMUM_IAL_EXCEED.code,
       clientError: true,
       details: {
         namespace,
@@ -345,13 +398,67 @@ export async function updateIal({ namespace, identifier, ial }) {
     });
   }
 
-  //check max_ial
-  ial = parseFloat(ial);
-  let { max_ial } = await tendermintNdid.getNodeInfo(config.nodeId);
-  if(ial > max_ial) {
+  let hash_id = utils.hash(namespace + ':' + identifier);
+  const { ial: previous_ial } = await tendermintNdid.getIdentityInfo(
+    namespace,
+    identifier,
+    config.nodeId
+  );
+  const { height } = await tendermintNdid.updateIal({ hash_id, ial });
+
+  await db.addIdentityIalHistory(hash_id, {
+    ial,
+    previous_ial,
+    reason,
+    evidence_reference,
+    operator,
+    height,
+    time: Date.now(),
+  });
+
+  notifyIalChangeToRequesters({
+    namespace,
+    identifier,
+    ial,
+    previous_ial,
+    height,
+  });
+}
+
+/**
+ * Get current IAL of identity and history of IAL changes made by this IdP
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @returns {Promise<Object>}
+ */
+export async function getIal({ namespace, identifier }) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const [{ ial }, history] = await Promise.all([
+      tendermintNdid.getIdentityInfo(namespace, identifier, config.nodeId),
+      db.getIdentityIalHistory(hash_id),
+    ]);
+    return { ial, history };
+  } catch (error) {
     throw new CustomError({
-      message: errorType.MAXIMUM_IAL_EXCEED.message,
-      code: errorType.MAXIMUM_IAL_EXCEED.code,
+      message: 'Cannot get IAL',
+      cause: error,
+    });
+  }
+}
+
+async function checkAssociatedOrThrow({ namespace, identifier }) {
+  const associated = await checkAssociated({
+    namespace,
+    identifier,
+  });
+  if (!associated) {
+    throw new CustomError({
+      message: errorType.IDENTITY_NOT_FOUND.message,
+      code: errorType.IDENTITY_NOT_FOUND.code,
       clientError: true,
       details: {
         namespace,
@@ -359,7 +466,672 @@ export async function updateIal({ namespace, identifier, ial }) {
       },
     });
   }
+}
 
-  let hash_id = utils.hash(namespace + ':' + identifier);
-  await tendermintNdid.updateIal({ hash_id, ial });
+/**
+ * Get accessors of identity added by this IdP
+ * with their status on blockchain.
+ * Accessors added before accessors were kept by this node are listed
+ * once they are used in a response or revoked.
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @returns {Promise<Array.<Object>>}
+ */
+export async function getAccessors({ namespace, identifier }) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const accessors = await db.getIdentityAccessors(hash_id);
+    return await Promise.all(
+      accessors.map(async (accessor) => ({
+        ...accessor,
+        active:
+          accessor.revoked_time == null &&
+          (await tendermintNdid.isAccessorActive(accessor.accessor_id)),
+      }))
+    );
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get accessors',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get IAL and an active accessor of identity associated with this IdP
+ * with secret of the accessor for responding without user interaction
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @returns {Promise<Object>} ial, accessor_id and secret or null if identity is not associated or has no active accessor
+ */
+export async function getIdentityForResponse({ namespace, identifier }) {
+  const identityInfo = await tendermintNdid.getIdentityInfo(
+    namespace,
+    identifier,
+    config.nodeId
+  );
+  if (identityInfo == null) return null;
+
+  const sid = namespace + ':' + identifier;
+  const hash_id = utils.hash(sid);
+  const accessors = (await db.getIdentityAccessors(hash_id)).filter(
+    (accessor) => accessor.revoked_time == null
+  );
+  let accessor;
+  for (let i = 0; i < accessors.length; i++) {
+    if (await tendermintNdid.isAccessorActive(accessors[i].accessor_id)) {
+      accessor = accessors[i];
+      break;
+    }
+  }
+  if (accessor == null) return null;
+
+  const accessor_public_key = await tendermintNdid.getAccessorKey(
+    accessor.accessor_id
+  );
+  const encryptedHash = await accessorSign(sid, hash_id, accessor.accessor_id);
+  const padding = utils.extractPaddingFromPrivateEncrypt(
+    encryptedHash,
+    accessor_public_key
+  );
+  return {
+    ial: identityInfo.ial,
+    accessor_id: accessor.accessor_id,
+    secret: padding + '|' + encryptedHash,
+  };
+}
+
+/**
+ * Revoke accessor of identity added by this IdP on blockchain.
+ * Revoked accessor can no longer be used for responding to requests.
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {string} data.accessor_id
+ */
+export async function revokeAccessor({ namespace, identifier, accessor_id }) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const accessor = await getAccessorOfIdentity(hash_id, accessor_id);
+    if (accessor == null) {
+      throw new CustomError({
+        message: errorType.ACCESSOR_NOT_FOUND.message,
+        code: errorType.ACCESSOR_NOT_FOUND.code,
+        clientError: true,
+        details: {
+          namespace,
+          identifier,
+          accessor_id,
+        },
+      });
+    }
+    await revokeAccessorOfIdentity(hash_id, accessor);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot revoke accessor',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get accessor of identity from local data or from blockchain
+ * for accessor added before accessors were kept by this node.
+ * Accessor from blockchain must be in the same accessor group
+ * as a known accessor of the identity and is kept afterwards.
+ * @param {string} hash_id
+ * @param {string} accessor_id
+ * @returns {Promise<Object>} accessor or null if not found
+ */
+export async function getAccessorOfIdentity(hash_id, accessor_id) {
+  const accessors = await db.getIdentityAccessors(hash_id);
+  const accessor = accessors.find(
+    (accessor) => accessor.accessor_id === accessor_id
+  );
+  if (accessor != null) return accessor;
+  if (accessors.length === 0) return null;
+
+  const accessor_public_key = await tendermintNdid.getAccessorKey(accessor_id);
+  if (accessor_public_key == null) return null;
+  const accessor_group_id = await tendermintNdid.getAccessorGroupId(
+    accessor_id
+  );
+  if (
+    !accessors.some(
+      (accessor) => accessor.accessor_group_id === accessor_group_id
+    )
+  ) {
+    return null;
+  }
+
+  const accessorFromBlockchain = {
+    accessor_id,
+    accessor_public_key,
+    accessor_group_id,
+  };
+  await db.setIdentityAccessor(hash_id, accessor_id, accessorFromBlockchain);
+  return accessorFromBlockchain;
+}
+
+/**
+ * Keep accessor used in a response if it is not yet kept by this node
+ * and its secret is bound to the identity
+ * @param {string} hash_id
+ * @param {string} accessor_id
+ * @param {string} secret Secret of the accessor (padding|signature)
+ */
+export async function addUsedAccessor(hash_id, accessor_id, secret) {
+  try {
+    const accessors = await db.getIdentityAccessors(hash_id);
+    if (accessors.some((accessor) => accessor.accessor_id === accessor_id)) {
+      return;
+    }
+    const accessor_public_key = await tendermintNdid.getAccessorKey(
+      accessor_id
+    );
+    const [, signature] = secret.split('|');
+    if (
+      accessor_public_key == null ||
+      !accessorSignProvider.verifySignature(
+        signature,
+        accessor_public_key,
+        hash_id
+      )
+    ) {
+      return;
+    }
+    await db.setIdentityAccessor(hash_id, accessor_id, {
+      accessor_id,
+      accessor_public_key,
+      accessor_group_id: await tendermintNdid.getAccessorGroupId(accessor_id),
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Cannot keep accessor used in response',
+      hash_id,
+      accessor_id,
+      error,
+    });
+  }
+}
+
+async function revokeAccessorOfIdentity(hash_id, accessor) {
+  if (accessor.revoked_time != null) return;
+
+  await tendermintNdid.revokeAccessorMethod({
+    accessor_id: accessor.accessor_id,
+  });
+  await db.setIdentityAccessor(hash_id, accessor.accessor_id, {
+    ...accessor,
+    revoked_time: Date.now(),
+  });
+}
+
+/**
+ * Stop serving identity: revoke accessors added by this IdP,
+ * remove this IdP from identity's message queue destinations on blockchain
+ * and remove local data of the identity
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ */
+export async function removeIdentity({ namespace, identifier }) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const accessors = await db.getIdentityAccessors(hash_id);
+    await Promise.all(
+      accessors.map((accessor) => revokeAccessorOfIdentity(hash_id, accessor))
+    );
+
+    await tendermintNdid.unregisterMqDestination({
+      users: [{ hash_id }],
+    });
+
+    const pendingRequests = await db.getAllIdpPendingRequests();
+    await Promise.all([
+      db.removeIdentityAccessors(hash_id),
+      db.removeAccessorEndorsements(hash_id),
+      ...pendingRequests
+        .filter(
+          ({ request }) =>
+            request.namespace === namespace &&
+            request.identifier === identifier
+        )
+        .map(({ requestId }) =>
+          Promise.all([
+            db.removeIdpPendingRequest(requestId),
+            db.removeRequestReceivedFromMQ(requestId),
+          ])
+        ),
+    ]);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot remove identity',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Endorse additional accessor for identity this IdP is associated with.
+ * Accessor is added to blockchain after user consents
+ * through a request to the identity's IdPs.
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {string} data.reference_id
+ * @param {string} data.secret Secret of the accessor (padding|signature)
+ * @param {string} data.accessor_type
+ * @param {string} data.accessor_key Accessor public key
+ * @param {string} data.accessor_id
+ * @returns {Promise<Object>} Request ID of consent request and accessor ID
+ */
+export async function endorseAccessor({
+  namespace,
+  identifier,
+  reference_id,
+  secret,
+  accessor_type,
+  accessor_key,
+  accessor_id,
+}) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const sid = namespace + ':' + identifier;
+    const hash_id = utils.hash(sid);
+
+    const [, signature] = secret.split('|');
+    if (
+      signature == null ||
+      !accessorSignProvider.verifySignature(signature, accessor_key, hash_id)
+    ) {
+      throw new CustomError({
+        message: errorType.INVALID_SECRET.message,
+        code: errorType.INVALID_SECRET.code,
+        clientError: true,
+        details: {
+          namespace,
+          identifier,
+        },
+      });
+    }
+
+    if (!accessor_id) accessor_id = utils.randomBase64Bytes(32);
+
+    const request_id = await common.createRequest({
+      namespace,
+      identifier,
+      reference_id,
+      idp_id_list: [],
+      callback_url: null,
+      data_request_list: [],
+      request_message: getRequestMessageForAddingAccessor({
+        namespace,
+        identifier,
+        reference_id,
+        node_id: config.nodeId,
+      }),
+      min_ial: 1.1,
+      min_aal: 1,
+      min_idp: 1,
+      request_timeout: 86400,
+      mode: 3,
+    });
+
+    await Promise.all([
+      db.setIdentityFromRequestId(request_id, {
+        accessor_type,
+        accessor_id,
+        accessor_public_key: accessor_key,
+        hash_id,
+        sid,
+        associated: true,
+        secret,
+        endorsement: true,
+      }),
+      db.setAccessorEndorsement(request_id, hash_id, {
+        request_id,
+        reference_id,
+        accessor_id,
+        accessor_type,
+        status: 'pending',
+        created_time: Date.now(),
+      }),
+    ]);
+
+    return { request_id, accessor_id };
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot endorse accessor',
+      cause: error,
+    });
+  }
+}
+
+export async function setEndorsementStatus(request_id, status) {
+  const endorsement = await db.getAccessorEndorsement(request_id);
+  if (endorsement == null) return;
+  await db.updateAccessorEndorsement(request_id, {
+    ...endorsement,
+    status,
+    completed_time: Date.now(),
+  });
+}
+
+/**
+ * Get accessor endorsements for identity made by this IdP
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @returns {Promise<Array.<Object>>}
+ */
+export async function getEndorsements({ namespace, identifier }) {
+  try {
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    return await db.getAccessorEndorsements(hash_id);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get endorsements',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Update identity this IdP is associated with to new namespace and identifier.
+ * Accessors added by this IdP (same accessor group) and IAL are kept
+ * and new secrets bound to new namespace and identifier are given
+ * through identity result callback.
+ * Consent is requested from other IdPs associated with the identity, if any.
+ * Other IdPs which accept move their own association to new namespace
+ * and identifier. Without other IdPs, identity is updated without request.
+ * This IdP stops serving old namespace and identifier.
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {string} data.reference_id
+ * @param {string} data.new_namespace
+ * @param {string} data.new_identifier
+ * @returns {Promise<Object>} Request ID of consent request (none without other IdPs)
+ */
+export async function updateIdentity({
+  namespace,
+  identifier,
+  reference_id,
+  new_namespace,
+  new_identifier,
+}) {
+  try {
+    await checkAssociatedOrThrow({ namespace, identifier });
+
+    const namespaceDetails = await tendermintNdid.getNamespaceList();
+    const valid = namespaceDetails.find(
+      (namespaceDetail) => namespaceDetail.namespace === new_namespace
+    );
+    if (!valid) {
+      throw new CustomError({
+        message: errorType.INVALID_NAMESPACE.message,
+        code: errorType.INVALID_NAMESPACE.code,
+        clientError: true,
+        details: {
+          namespace: new_namespace,
+        },
+      });
+    }
+
+    if (
+      await checkAssociated({
+        namespace: new_namespace,
+        identifier: new_identifier,
+      })
+    ) {
+      throw new CustomError({
+        message: errorType.IDENTITY_ALREADY_CREATED.message,
+        code: errorType.IDENTITY_ALREADY_CREATED.code,
+        clientError: true,
+        details: {
+          namespace: new_namespace,
+          identifier: new_identifier,
+        },
+      });
+    }
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const new_sid = new_namespace + ':' + new_identifier;
+    const new_hash_id = utils.hash(new_sid);
+
+    const accessors = (await db.getIdentityAccessors(hash_id)).filter(
+      (accessor) => accessor.revoked_time == null
+    );
+    if (accessors.length === 0) {
+      throw new CustomError({
+        message: errorType.ACCESSOR_NOT_FOUND.message,
+        code: errorType.ACCESSOR_NOT_FOUND.code,
+        clientError: true,
+        details: {
+          namespace,
+          identifier,
+        },
+      });
+    }
+
+    const secret_list = await createSecretList(
+      new_sid,
+      accessors,
+      reference_id
+    );
+
+    const { ial } = await tendermintNdid.getIdentityInfo(
+      namespace,
+      identifier,
+      config.nodeId
+    );
+
+    const otherIdpNodes = (await tendermintNdid.getIdpNodes({
+      namespace,
+      identifier,
+      min_ial: 0,
+      min_aal: 0,
+    })).filter((idpNode) => idpNode.node_id !== config.nodeId);
+
+    const identityUpdate = {
+      identity_update: true,
+      hash_id,
+      new_hash_id,
+      ial,
+      secret_list,
+    };
+
+    if (otherIdpNodes.length === 0) {
+      completeIdentityUpdate(identityUpdate)
+        .then(() => {
+          notifyUpdateIdentityResultByCallback({
+            reference_id,
+            success: true,
+            secret_list,
+          });
+        })
+        .catch((error) => {
+          const err = new CustomError({
+            message: 'Cannot update identity',
+            cause: error,
+          });
+          logger.error(err.getInfoForLog());
+          notifyUpdateIdentityResultByCallback({
+            reference_id,
+            success: false,
+            error: {
+              code: err.getCode(),
+              message: err.getMessageWithCode(),
+            },
+          });
+        });
+      return {};
+    }
+
+    const request_id = await common.createRequest({
+      namespace,
+      identifier,
+      reference_id,
+      idp_id_list: otherIdpNodes.map((idpNode) => idpNode.node_id),
+      callback_url: null,
+      data_request_list: [],
+      request_message: getRequestMessageForUpdatingIdentity({
+        namespace,
+        identifier,
+        new_namespace,
+        new_identifier,
+        reference_id,
+        node_id: config.nodeId,
+      }),
+      min_ial: 1.1,
+      min_aal: 1,
+      min_idp: 1,
+      request_timeout: 86400,
+      mode: 3,
+      identity_update: {
+        new_namespace,
+        new_identifier,
+      },
+    });
+
+    await db.setIdentityFromRequestId(request_id, identityUpdate);
+
+    return { request_id };
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot update identity',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Create secrets of accessors bound to namespace and identifier
+ * @param {string} sid namespace:identifier
+ * @param {Array.<Object>} accessors
+ * @param {string} [reference_id]
+ * @returns {Promise<Array.<Object>>} accessor_id and secret of each accessor
+ */
+function createSecretList(sid, accessors, reference_id) {
+  const hash_id = utils.hash(sid);
+  return Promise.all(
+    accessors.map(async ({ accessor_id, accessor_public_key }) => {
+      const encryptedHash = await accessorSign(
+        sid,
+        hash_id,
+        accessor_id,
+        reference_id,
+        accessor_public_key
+      );
+      const padding = utils.extractPaddingFromPrivateEncrypt(
+        encryptedHash,
+        accessor_public_key
+      );
+      return { accessor_id, secret: padding + '|' + encryptedHash };
+    })
+  );
+}
+
+async function completeIdentityUpdate({ hash_id, new_hash_id, ial }) {
+  await tendermintNdid.registerMqDestination({
+    users: [
+      {
+        hash_id: new_hash_id,
+        ial,
+      },
+    ],
+  });
+  await tendermintNdid.unregisterMqDestination({
+    users: [{ hash_id }],
+  });
+  const ialHistory = await db.getIdentityIalHistory(hash_id);
+  for (let i = 0; i < ialHistory.length; i++) {
+    await db.addIdentityIalHistory(new_hash_id, ialHistory[i]);
+  }
+  // Move local accessor records to new identity
+  const accessors = await db.getIdentityAccessors(hash_id);
+  await Promise.all(
+    accessors.map((accessor) =>
+      db.setIdentityAccessor(new_hash_id, accessor.accessor_id, accessor)
+    )
+  );
+  await db.removeIdentityAccessors(hash_id);
+}
+
+/**
+ * Move association of this IdP to new namespace and identifier
+ * after accepting consent request of another IdP updating the identity
+ * @param {Object} data
+ * @param {string} data.request_id
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {string} data.new_namespace
+ * @param {string} data.new_identifier
+ */
+export async function updateIdentityByConsent({
+  request_id,
+  namespace,
+  identifier,
+  new_namespace,
+  new_identifier,
+}) {
+  try {
+    const identityInfo = await tendermintNdid.getIdentityInfo(
+      namespace,
+      identifier,
+      config.nodeId
+    );
+    if (identityInfo == null) return;
+
+    const hash_id = utils.hash(namespace + ':' + identifier);
+    const new_sid = new_namespace + ':' + new_identifier;
+    const accessors = (await db.getIdentityAccessors(hash_id)).filter(
+      (accessor) => accessor.revoked_time == null
+    );
+    const secret_list = await createSecretList(new_sid, accessors);
+
+    await completeIdentityUpdate({
+      hash_id,
+      new_hash_id: utils.hash(new_sid),
+      ial: identityInfo.ial,
+    });
+    notifyUpdateIdentityResultByCallback({
+      request_id,
+      success: true,
+      secret_list,
+    });
+  } catch (error) {
+    const err = new CustomError({
+      message: 'Cannot update identity after consent',
+      cause: error,
+    });
+    logger.error(err.getInfoForLog());
+    notifyUpdateIdentityResultByCallback({
+      request_id,
+      success: false,
+      error: {
+        code: err.getCode(),
+        message: err.getMessageWithCode(),
+      },
+    });
+  }
+}
+
+export async function updateIdentityAfterConsent(request_id) {
+  const identityUpdate = await db.getIdentityFromRequestId(request_id);
+  await completeIdentityUpdate(identityUpdate);
+  db.removeIdentityFromRequestId(request_id);
+  return {
+    secret_list: identityUpdate.secret_list,
+  };
 }
@@ -22,9 +22,9 @@
 
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
 
 import { callbackToClient } from '../utils/callback';
+import * as accessorSignProvider from '../utils/accessorSignProvider';
 import CustomError from '../error/customError';
 import errorType from '../error/type';
 import logger from '../logger';
@@ -37,6 +37,8 @@ import * as config from '../config';
 import * as db from '../db';
 import * as mq from '../mq';
 import * as identity from './identity';
+import * as idpRule from './idpRule';
+import { isIdentityChangeRequest } from './idpRuleMatch';
 
 const callbackUrls = {};
 
@@ -49,6 +51,7 @@ const callbackUrlFilesPrefix = path.join(
   { key: 'incoming_request_url', fileSuffix: 'incoming_request' },
   { key: 'identity_result_url', fileSuffix: 'identity_result' },
   { key: 'accessor_sign_url', fileSuffix: 'accessor_sign' },
+  { key: 'response_result_url', fileSuffix: 'response_result' },
   { key: 'error_url', fileSuffix: 'error' },
 ].forEach(({ key, fileSuffix }) => {
   try {
@@ -85,6 +88,7 @@ export function setCallbackUrls({
   incoming_request_url,
   identity_result_url,
   accessor_sign_url,
+  response_result_url,
   error_url,
 }) {
   if (incoming_request_url != null) {
@@ -99,6 +103,10 @@ export function setCallbackUrls({
     callbackUrls.accessor_sign_url = accessor_sign_url;
     writeCallbackUrlToFile('accessor_sign', accessor_sign_url);
   }
+  if (response_result_url != null) {
+    callbackUrls.response_result_url = response_result_url;
+    writeCallbackUrlToFile('response_result', response_result_url);
+  }
   if (error_url != null) {
     callbackUrls.error_url = error_url;
     writeCallbackUrlToFile('error', error_url);
@@ -109,22 +117,29 @@ export function getCallbackUrls() {
   return callbackUrls;
 }
 
-export function isAccessorSignUrlSet() {
-  return callbackUrls.accessor_sign_url != null;
+export function isAccessorSignAvailable() {
+  return accessorSignProvider.isAvailable(callbackUrls.accessor_sign_url);
 }
 
-export async function accessorSign(sid ,hash_id, accessor_id, reference_id) {
-  const data = {
-    sid_hash: hash_id,
-    sid,
-    hash_method: 'SHA256',
-    key_type: 'RSA',
-    sign_method: 'RSA',
-    accessor_id,
-    reference_id,
-  };
-
-  if (callbackUrls.accessor_sign_url == null) {
+/**
+ * Sign with accessor private key using configured provider
+ * and check returned signature against accessor public key
+ * @param {Object} data
+ * @param {string} data.accessor_id
+ * @param {string} data.hashToSign hash in base64 to sign as is
+ * @param {string} data.messageToSign message to sign with RSA-SHA256 (instead of hashToSign)
+ * @param {Object} data.callbackBody body to POST to accessor sign callback URL
+ * @param {string} data.accessor_public_key Accessor public key if accessor is not yet on blockchain
+ * @returns {Promise<string>} signature in base64
+ */
+async function signWithAccessorKey({
+  accessor_id,
+  hashToSign,
+  messageToSign,
+  callbackBody,
+  accessor_public_key,
+}) {
+  if (!isAccessorSignAvailable()) {
     throw new CustomError({
       message: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.message,
       code: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.code,
@@ -132,35 +147,116 @@ export async function accessorSign(sid ,hash_id, accessor_id, reference_id) {
   }
 
   logger.debug({
-    message: 'Callback to accessor sign',
+    message: 'Sign with accessor key',
+    provider: config.accessorSignProvider,
     url: callbackUrls.accessor_sign_url,
     accessor_id,
-    hash_id,
+    hashToSign,
   });
 
+  let signature;
   try {
-    const response = await fetch(callbackUrls.accessor_sign_url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-      },
-      body: JSON.stringify(data),
+    signature = await accessorSignProvider.sign({
+      url: callbackUrls.accessor_sign_url,
+      callbackBody,
+      accessor_id,
+      hashToSign,
+      messageToSign,
     });
-    const signatureObj = await response.json();
-    return signatureObj.signature;
   } catch (error) {
     throw new CustomError({
       message: errorType.SIGN_WITH_ACCESSOR_KEY_FAILED.message,
       code: errorType.SIGN_WITH_ACCESSOR_KEY_FAILED.code,
       cause: error,
       details: {
+        provider: config.accessorSignProvider,
         callbackUrl: callbackUrls.accessor_sign_url,
         accessor_id,
-        hash_id,
-      }
+        hashToSign,
+      },
     });
   }
+
+  const publicKey =
+    accessor_public_key != null
+      ? accessor_public_key
+      : await tendermintNdid.getAccessorKey(accessor_id);
+  let signatureValid = false;
+  if (publicKey != null) {
+    signatureValid =
+      messageToSign != null
+        ? utils.verifySignature(signature, publicKey, messageToSign)
+        : accessorSignProvider.verifySignature(signature, publicKey, hashToSign);
+  }
+  if (!signatureValid) {
+    throw new CustomError({
+      message: errorType.INVALID_ACCESSOR_SIGNATURE.message,
+      code: errorType.INVALID_ACCESSOR_SIGNATURE.code,
+      details: {
+        provider: config.accessorSignProvider,
+        accessor_id,
+        hashToSign,
+      },
+    });
+  }
+
+  return signature;
+}
+
+/**
+ * Sign sid hash with accessor private key
+ * @param {string} sid
+ * @param {string} hash_id
+ * @param {string} accessor_id
+ * @param {string} reference_id
+ * @param {string} accessor_public_key Accessor public key if accessor is not yet on blockchain
+ * @returns {Promise<string>} signature in base64
+ */
+export function accessorSign(
+  sid,
+  hash_id,
+  accessor_id,
+  reference_id,
+  accessor_public_key
+) {
+  return signWithAccessorKey({
+    accessor_id,
+    hashToSign: hash_id,
+    callbackBody: {
+      sid_hash: hash_id,
+      sid,
+      hash_method: 'SHA256',
+      key_type: 'RSA',
+      sign_method: 'RSA',
+      accessor_id,
+      reference_id,
+    },
+    accessor_public_key,
+  });
+}
+
+/**
+ * Sign request message hash with accessor private key
+ * for making a response without user interaction
+ * @param {string} request_id
+ * @param {string} request_message
+ * @param {string} accessor_id
+ * @returns {Promise<string>} signature in base64
+ */
+function accessorSignRequestMessage(request_id, request_message, accessor_id) {
+  return signWithAccessorKey({
+    accessor_id,
+    messageToSign: request_message,
+    callbackBody: {
+      request_id,
+      request_message,
+      request_message_hash: utils.hash(request_message),
+      hash_method: 'SHA256',
+      key_type: 'RSA',
+      sign_method: 'RSA-SHA256',
+      accessor_id,
+    },
+  });
 }
 
 async function requestChallenge(request_id, accessor_id) {
@@ -186,11 +282,12 @@ async function requestChallenge(request_id, accessor_id) {
   //send message queue with public proof
   let { ip, port } = await tendermintNdid.getMsqAddress(request.rp_id);
   let receiver = [{
+    node_id: request.rp_id,
     ip,
     port,
     ...(await tendermintNdid.getNodePubKey(request.rp_id)),
   }];
-  mq.send(receiver,{
+  await mq.send(receiver,{
     public_proof: [ publicProof1, publicProof2 ],
     request_id: request_id,
     idp_id: config.nodeId,
@@ -199,12 +296,156 @@ async function requestChallenge(request_id, accessor_id) {
   });
 }
 
+/**
+ * Check that response can be made to the request
+ * before creating response asynchronously
+ * @param {Object} data Response data
+ * @returns {Promise<Object>} Request detail
+ */
+async function checkResponse({ request_id, ial, aal, accessor_id, secret }) {
+  const requestDetail = await tendermintNdid.getRequestDetail({
+    requestId: request_id,
+  });
+  if (requestDetail == null) {
+    throw new CustomError({
+      message: errorType.REQUEST_NOT_FOUND.message,
+      code: errorType.REQUEST_NOT_FOUND.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  if (requestDetail.closed) {
+    throw new CustomError({
+      message: errorType.REQUEST_IS_CLOSED.message,
+      code: errorType.REQUEST_IS_CLOSED.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  if (requestDetail.timed_out) {
+    throw new CustomError({
+      message: errorType.REQUEST_IS_TIMED_OUT.message,
+      code: errorType.REQUEST_IS_TIMED_OUT.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+
+  const { max_ial, max_aal } = await tendermintNdid.getNodeInfo(config.nodeId);
+  if (ial > max_ial) {
+    throw new CustomError({
+      message: errorType.MAXIMUM_IAL_EXCEED.message,
+      code: errorType.MAXIMUM_IAL_EXCEED.code,
+      clientError: true,
+      details: {
+        ial,
+        max_ial,
+      },
+    });
+  }
+  if (aal > max_aal) {
+    throw new CustomError({
+      message: errorType.MAXIMUM_AAL_EXCEED.message,
+      code: errorType.MAXIMUM_AAL_EXCEED.code,
+      clientError: true,
+      details: {
+        aal,
+        max_aal,
+      },
+    });
+  }
+
+  const responded = requestDetail.response_list.find(
+    (response) => response.idp_id === config.nodeId
+  );
+  if (responded != null) {
+    throw new CustomError({
+      message: errorType.IDP_ALREADY_RESPONDED.message,
+      code: errorType.IDP_ALREADY_RESPONDED.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+
+  if (requestDetail.mode === 3) {
+    if (accessor_id == null) {
+      throw new CustomError({
+        message: errorType.ACCESSOR_ID_NEEDED.message,
+        code: errorType.ACCESSOR_ID_NEEDED.code,
+        clientError: true,
+      });
+    }
+    if (secret == null) {
+      throw new CustomError({
+        message: errorType.SECRET_NEEDED.message,
+        code: errorType.SECRET_NEEDED.code,
+        clientError: true,
+      });
+    }
+
+    const accessorPublicKey = await tendermintNdid.getAccessorKey(accessor_id);
+    if (accessorPublicKey == null) {
+      throw new CustomError({
+        message: errorType.ACCESSOR_PUBLIC_KEY_NOT_FOUND.message,
+        code: errorType.ACCESSOR_PUBLIC_KEY_NOT_FOUND.code,
+        clientError: true,
+        details: {
+          accessor_id,
+        },
+      });
+    }
+    if (!(await tendermintNdid.isAccessorActive(accessor_id))) {
+      throw new CustomError({
+        message: errorType.ACCESSOR_REVOKED.message,
+        code: errorType.ACCESSOR_REVOKED.code,
+        clientError: true,
+        details: {
+          accessor_id,
+        },
+      });
+    }
+  }
+
+  return requestDetail;
+}
+
 export async function requestChallengeAndCreateResponse(data) {
+  let request;
+  try {
+    request = await checkResponse(data);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot create IdP response',
+      cause: error,
+    });
+  }
+
   //store response data
-  const request = await tendermintNdid.getRequest({ requestId: data.request_id });
   if(request.mode === 3) {
     await db.setResponseFromRequestId(data.request_id, data);
-    requestChallenge(data.request_id, data.accessor_id);
+    requestChallenge(data.request_id, data.accessor_id).catch((error) => {
+      const err = new CustomError({
+        message: 'Cannot request challenge',
+        cause: error,
+      });
+      logger.error(err.getInfoForLog());
+      notifyResponseResultByCallback({
+        request_id: data.request_id,
+        success: false,
+        error: {
+          code: err.getCode(),
+          message: err.getMessageWithCode(),
+        },
+      });
+    });
   }
   else if(request.mode === 1) createIdpResponse(data);
 }
@@ -233,41 +474,20 @@ async function createIdpResponse(data) {
       });
     }
 
+    // Accessor for mode 3 has been checked when response was submitted
     const mode = request.mode;
-    if (mode === 3) {
-      if (accessor_id == null) {
-        throw new CustomError({
-          message: errorType.ACCESSOR_ID_NEEDED.message,
-          code: errorType.ACCESSOR_ID_NEEDED.code,
-          clientError: true,
-        });
-      }
-      if (secret == null) {
-        throw new CustomError({
-          message: errorType.SECRET_NEEDED.message,
-          code: errorType.SECRET_NEEDED.code,
-          clientError: true,
-        });
-      }
-
-      const accessorPublicKey = await tendermintNdid.getAccessorKey(accessor_id);
-      if (accessorPublicKey == null) {
-        throw new CustomError({
-          message: errorType.ACCESSOR_PUBLIC_KEY_NOT_FOUND.message,
-          code: errorType.ACCESSOR_PUBLIC_KEY_NOT_FOUND.code,
-          clientError: true,
-          details: {
-            accessor_id,
-          },
-        });
-      }
-    }
 
-    let dataToBlockchain, privateProofObject;
+    let dataToBlockchain, privateProofObject, hash_id, identityUpdateRequest;
 
     if (mode === 3) {
       let blockchainProofArray = [], privateProofValueArray = [], samePadding;
       let requestFromMq = await db.getRequestReceivedFromMQ(request_id);
+      hash_id = utils.hash(
+        requestFromMq.namespace + ':' + requestFromMq.identifier
+      );
+      if (requestFromMq.identity_update != null) {
+        identityUpdateRequest = requestFromMq;
+      }
 
       logger.debug({
         message: 'To generate proof',
@@ -318,15 +538,113 @@ async function createIdpResponse(data) {
     ]);
     
     const { height } = await tendermintNdid.createIdpResponse(dataToBlockchain);
+    sendPrivateProofAndNotifyResult(request_id, privateProofObject, height);
 
-    sendPrivateProofToRP(request_id, privateProofObject, height);
+    // Response is already on blockchain, failure after this is only logged
+    await runAfterResponse(request_id, 'remove pending request', () =>
+      db.removeIdpPendingRequest(request_id)
+    );
+    if (mode === 3) {
+      // Accessor may have been added before accessors were kept by this node
+      await runAfterResponse(request_id, 'add used accessor', () =>
+        identity.addUsedAccessor(hash_id, accessor_id, secret)
+      );
+    }
+    if (identityUpdateRequest != null && status === 'accept') {
+      await runAfterResponse(request_id, 'update identity by consent', () =>
+        identity.updateIdentityByConsent({
+          request_id,
+          namespace: identityUpdateRequest.namespace,
+          identifier: identityUpdateRequest.identifier,
+          new_namespace: identityUpdateRequest.identity_update.new_namespace,
+          new_identifier: identityUpdateRequest.identity_update.new_identifier,
+        })
+      );
+    }
+    await runAfterResponse(request_id, 'add request history event', () =>
+      common.addRequestHistoryEvent(request_id, {
+        event: 'responded',
+        height,
+        node_id: config.nodeId,
+        status,
+        ial,
+        aal,
+      })
+    );
   } catch (error) {
     const err = new CustomError({
       message: 'Cannot create IdP response',
       cause: error,
     });
     logger.error(err.getInfoForLog());
-    throw err;
+    common.notifyError({
+      stage: 'create_idp_response',
+      request_id: data.request_id,
+      error: err,
+    });
+    notifyResponseResultByCallback({
+      request_id: data.request_id,
+      success: false,
+      error: {
+        code: err.getCode(),
+        message: err.getMessageWithCode(),
+      },
+    });
+  }
+}
+
+/**
+ * Notify RPs of requests for identity waiting for this IdP's response
+ * that IAL of the identity has changed
+ * @param {Object} data
+ * @param {string} data.namespace
+ * @param {string} data.identifier
+ * @param {number} data.ial
+ * @param {number} data.previous_ial
+ * @param {number} data.height Block height of IAL update transaction
+ */
+export async function notifyIalChangeToRequesters({
+  namespace,
+  identifier,
+  ial,
+  previous_ial,
+  height,
+}) {
+  try {
+    const pendingRequests = (await db.getAllIdpPendingRequests())
+      .map(({ request }) => request)
+      .filter(
+        (request) =>
+          request.namespace === namespace && request.identifier === identifier
+      );
+    await Promise.all(
+      pendingRequests.map(async ({ request_id, requester_node_id }) => {
+        const { ip, port } = await tendermintNdid.getMsqAddress(
+          requester_node_id
+        );
+        const rpMq = {
+          node_id: requester_node_id,
+          ip,
+          port,
+          ...(await tendermintNdid.getNodePubKey(requester_node_id)),
+        };
+        await mq.send([rpMq], {
+          type: 'ial_changed',
+          request_id,
+          ial,
+          previous_ial,
+          height,
+          idp_id: config.nodeId,
+        });
+      })
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Cannot notify IAL change to requesters',
+      namespace,
+      identifier,
+      error,
+    });
   }
 }
 
@@ -376,6 +694,30 @@ export function notifyCreateIdentityResultByCallback(eventDataForCallback) {
   });
 }
 
+export function notifyResponseResultByCallback(eventDataForCallback) {
+  notifyByCallback({
+    url: callbackUrls.response_result_url,
+    type: 'response_result',
+    eventDataForCallback,
+  });
+}
+
+export function notifyUpdateIdentityResultByCallback(eventDataForCallback) {
+  notifyByCallback({
+    url: callbackUrls.identity_result_url,
+    type: 'update_identity_result',
+    eventDataForCallback,
+  });
+}
+
+export function notifyEndorsementResultByCallback(eventDataForCallback) {
+  notifyByCallback({
+    url: callbackUrls.identity_result_url,
+    type: 'endorsement_result',
+    eventDataForCallback,
+  });
+}
+
 export function notifyAddAccessorResultByCallback(eventDataForCallback) {
   notifyByCallback({
     url: callbackUrls.identity_result_url,
@@ -399,19 +741,107 @@ async function sendPrivateProofToRP(request_id, privateProofObject, height) {
 
   let { ip, port } = await tendermintNdid.getMsqAddress(rp_id);
   let rpMq = {
+    node_id: rp_id,
     ip,
     port,
     ...(await tendermintNdid.getNodePubKey(rp_id)),
   };
 
-  mq.send([rpMq], {
+  await mq.send(
+    [rpMq],
+    {
+      request_id,
+      ...privateProofObject,
+      height,
+      idp_id: config.nodeId,
+    },
+    {
+      deliveryTag: {
+        type: 'response',
+        request_id,
+        height,
+      },
+    }
+  );
+}
+
+/**
+ * Send private proof to RP. Client application is notified
+ * whether the response has been completely made when RP acknowledges
+ * the message or the message cannot be delivered.
+ * @param {string} request_id
+ * @param {Object} privateProofObject
+ * @param {number} height Block height of response transaction
+ */
+async function runAfterResponse(requestId, step, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    logger.error({
+      message: `Cannot ${step} after creating IdP response`,
+      requestId,
+      error,
+    });
+  }
+}
+
+async function sendPrivateProofAndNotifyResult(
+  request_id,
+  privateProofObject,
+  height
+) {
+  try {
+    await sendPrivateProofToRP(request_id, privateProofObject, height);
+  } catch (error) {
+    notifyResponseResult(request_id, height, error);
+  }
+}
+
+function notifyResponseResult(request_id, height, error) {
+  if (error == null) {
+    notifyResponseResultByCallback({
+      request_id,
+      success: true,
+      height,
+    });
+    return;
+  }
+  const err = new CustomError({
+    message: 'Cannot send private proof to RP',
+    cause: error,
+  });
+  logger.error(err.getInfoForLog());
+  notifyResponseResultByCallback({
     request_id,
-    ...privateProofObject,
+    success: false,
     height,
-    idp_id: config.nodeId,
+    error: {
+      code: err.getCode(),
+      message: err.getMessageWithCode(),
+    },
   });
+}
 
-  db.removeRPIdFromRequestId(request_id);
+/**
+ * Handle result of sending message queue message with delivery tag
+ * @param {Object} delivery
+ * @param {Object} delivery.tag
+ * @param {boolean} delivery.delivered
+ */
+export async function handleMessageDelivery({ tag, delivered }) {
+  if (tag.type !== 'response') return;
+
+  db.removeRPIdFromRequestId(tag.request_id);
+  notifyResponseResult(
+    tag.request_id,
+    tag.height,
+    delivered
+      ? null
+      : new CustomError({
+        message: errorType.MQ_MESSAGE_NOT_DELIVERED.message,
+        code: errorType.MQ_MESSAGE_NOT_DELIVERED.code,
+      })
+  );
 }
 
 export async function handleMessageFromQueue(messageStr) {
@@ -423,6 +853,10 @@ export async function handleMessageFromQueue(messageStr) {
     messageStr,
   });
   const message = JSON.parse(messageStr);
+  if (message.type === 'request_cancelled') {
+    await handleRequestCancelled(message);
+    return;
+  }
   //if message is challenge for response, no need to wait for blockchain
   if(message.challenge) {
     //store challenge
@@ -449,6 +883,14 @@ export async function handleMessageFromQueue(messageStr) {
   if(message.type !== 'request_challenge') {
     await db.setRequestReceivedFromMQ(message.request_id, message);
   }
+  // consent request from RP
+  if (message.type == null && message.accessor_id == null) {
+    await common.addRequestHistoryEvent(message.request_id, {
+      event: 'request_received',
+      height: message.height,
+      node_id: message.rp_id,
+    });
+  }
   await db.setRequestToProcessReceivedFromMQ(message.request_id, message);
 
   const latestBlockHeight = tendermint.latestBlockHeight;
@@ -510,16 +952,7 @@ export async function handleMessageFromQueue(messageStr) {
   });
   //onboard response
   if(message.accessor_id) {
-    if(await checkOnboardResponse(message)) {
-      let { secret, associated } = await identity.addAccessorAfterConsent(message.request_id, message.accessor_id);
-      let notifyData = {
-        request_id: message.request_id,
-        success: true,
-        secret,
-      };
-      if(associated) notifyAddAccessorResultByCallback(notifyData);
-      else notifyCreateIdentityResultByCallback(notifyData);
-    }
+    await handleOnboardResponse(message);
   }
   else if(message.type === 'request_challenge') {
     const responseId = message.request_id + ':' + message.idp_id;
@@ -532,22 +965,285 @@ export async function handleMessageFromQueue(messageStr) {
       message
     );
     if (valid) {
-      notifyIncomingRequestByCallback({
-        mode: message.mode,
-        request_id: message.request_id,
+      await handleIncomingRequest(message);
+    }
+  }
+}
+
+/**
+ * Respond to request according to first matching auto-response rule.
+ * Mode 3 response is made with an active accessor and IAL of the identity
+ * in the request looked up at response time. Request is forwarded to
+ * client application when they cannot be found.
+ * Request for consent to identity change from other IdP is responded to
+ * only by rule which opts in with identity_change.
+ * @param {Object} message Request received from message queue
+ * @returns {Promise<boolean>} true if response has been made by rule
+ */
+async function respondByRule(message) {
+  let rule;
+  try {
+    let requesterRole;
+    if (message.identity_update == null) {
+      const nodeInfo = await tendermintNdid.getNodeInfo(message.rp_id);
+      requesterRole = nodeInfo != null ? nodeInfo.role : null;
+    }
+    rule = await idpRule.findMatchingRule(
+      message,
+      isIdentityChangeRequest(message, requesterRole)
+    );
+    if (rule == null || rule.action === 'forward') return false;
+
+    let ial, accessor_id, secret, signature;
+    if (message.mode === 3) {
+      // Respond as the identity of this request with its own accessor and IAL
+      const identityForResponse = await identity.getIdentityForResponse({
         namespace: message.namespace,
         identifier: message.identifier,
-        request_message: message.request_message,
-        request_message_hash: utils.hash(message.request_message),
-        requester_node_id: message.rp_id,
-        min_ial: message.min_ial,
-        min_aal: message.min_aal,
-        data_request_list: message.data_request_list,
       });
+      // Let client application decide
+      if (identityForResponse == null) return false;
+      ({ ial, accessor_id, secret } = identityForResponse);
+      signature = await accessorSignRequestMessage(
+        message.request_id,
+        message.request_message,
+        accessor_id
+      );
+    } else {
+      if (rule.ial == null) return false;
+      ial = rule.ial;
+      signature = await utils.createSignature(message.request_message);
     }
+
+    await requestChallengeAndCreateResponse({
+      request_id: message.request_id,
+      ial,
+      aal: rule.aal,
+      secret,
+      status: rule.action,
+      signature,
+      accessor_id,
+    });
+
+    logger.info({
+      message: 'Responded to request by auto-response rule',
+      requestId: message.request_id,
+      ruleId: rule.rule_id,
+      action: rule.action,
+    });
+    return true;
+  } catch (error) {
+    const err = new CustomError({
+      message: 'Cannot respond to request by auto-response rule',
+      cause: error,
+      details: {
+        rule_id: rule != null ? rule.rule_id : undefined,
+      },
+    });
+    logger.error(err.getInfoForLog());
+    common.notifyError({
+      stage: 'auto_response',
+      request_id: message.request_id,
+      error: err,
+    });
+    return false;
   }
 }
 
+/**
+ * Keep request in pending request inbox then respond by auto-response rule
+ * or notify client application if no rule applies
+ * @param {Object} message Request received from message queue
+ */
+async function handleIncomingRequest(message) {
+  const eventDataForCallback = {
+    mode: message.mode,
+    request_id: message.request_id,
+    namespace: message.namespace,
+    identifier: message.identifier,
+    request_message: message.request_message,
+    request_message_hash: utils.hash(message.request_message),
+    requester_node_id: message.rp_id,
+    min_ial: message.min_ial,
+    min_aal: message.min_aal,
+    data_request_list: message.data_request_list,
+    identity_update: message.identity_update,
+  };
+
+  let createdTime;
+  try {
+    const [block] = await tendermint.getBlocks(message.height, message.height);
+    createdTime = Date.parse(block.block.header.time);
+  } catch (error) {
+    logger.warn({
+      message: 'Cannot get request creation time from block',
+      requestId: message.request_id,
+      height: message.height,
+      error,
+    });
+    createdTime = Date.now();
+  }
+
+  await db.setIdpPendingRequest(message.request_id, {
+    ...eventDataForCallback,
+    request_timeout: message.request_timeout,
+    created_time: createdTime,
+  });
+
+  if (await respondByRule(message)) return;
+
+  notifyIncomingRequestByCallback(eventDataForCallback);
+}
+
+function toPendingRequestInfo(pendingRequest) {
+  const deadline =
+    pendingRequest.created_time + pendingRequest.request_timeout * 1000;
+  return {
+    ...pendingRequest,
+    deadline,
+    remaining_time: Math.max(0, Math.floor((deadline - Date.now()) / 1000)),
+  };
+}
+
+export async function getPendingRequests() {
+  try {
+    const pendingRequests = await db.getAllIdpPendingRequests();
+    return pendingRequests.map(({ request }) => toPendingRequestInfo(request));
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get pending requests',
+      cause: error,
+    });
+  }
+}
+
+export async function getPendingRequest(requestId) {
+  try {
+    const pendingRequest = await db.getIdpPendingRequest(requestId);
+    return pendingRequest != null ? toPendingRequestInfo(pendingRequest) : null;
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get pending request',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Remove closed and timed out requests from pending request inbox
+ * and update timeout of extended ones according to transactions in blocks
+ * @param {number} fromHeight
+ * @param {number} toHeight
+ */
+async function updatePendingRequestsFromBlocks(fromHeight, toHeight) {
+  const pendingRequests = await db.getAllIdpPendingRequests();
+  if (pendingRequests.length === 0) return;
+
+  const blocks = await tendermint.getBlocks(fromHeight, toHeight);
+  await Promise.all(
+    blocks.map(async (block) => {
+      const transactions = tendermint.getTransactionListFromBlockQuery(block);
+      await Promise.all(
+        transactions.map(async ({ fnName, args }) => {
+          const requestId = args.request_id || args.requestId;
+          const pendingRequest = pendingRequests.find(
+            (pendingRequest) => pendingRequest.requestId === requestId
+          );
+          if (pendingRequest == null) return;
+          if (fnName === 'CloseRequest' || fnName === 'TimeOutRequest') {
+            await db.removeIdpPendingRequest(requestId);
+          } else if (fnName === 'ExtendRequestTimeout') {
+            await db.setIdpPendingRequest(requestId, {
+              ...pendingRequest.request,
+              request_timeout: args.request_timeout,
+            });
+          }
+        })
+      );
+    })
+  );
+}
+
+/**
+ * Set endorsement whose consent request has been closed or timed out
+ * without response as failed or expired and notify client application.
+ * Endorsement of request with response is settled by the response.
+ * @param {number} fromHeight
+ * @param {number} toHeight
+ */
+async function failUnansweredEndorsementsFromBlocks(fromHeight, toHeight) {
+  const blocks = await tendermint.getBlocks(fromHeight, toHeight);
+  await Promise.all(
+    blocks.map(async (block) => {
+      const transactions = tendermint.getTransactionListFromBlockQuery(block);
+      await Promise.all(
+        transactions.map(async ({ fnName, args }) => {
+          if (fnName !== 'CloseRequest' && fnName !== 'TimeOutRequest') {
+            return;
+          }
+          const requestId = args.request_id || args.requestId;
+          const endorsement = await db.getAccessorEndorsement(requestId);
+          if (endorsement == null || endorsement.status !== 'pending') return;
+
+          const requestDetail = await tendermintNdid.getRequestDetail({
+            requestId,
+          });
+          if (
+            requestDetail.response_list != null &&
+            requestDetail.response_list.length > 0
+          ) {
+            return;
+          }
+
+          const timedOut = fnName === 'TimeOutRequest';
+          await identity.setEndorsementStatus(
+            requestId,
+            timedOut ? 'expired' : 'failed'
+          );
+          db.removeIdentityFromRequestId(requestId);
+          notifyEndorsementResultByCallback({
+            request_id: requestId,
+            success: false,
+            reason: timedOut ? 'Request timed out' : 'Request closed',
+          });
+        })
+      );
+    })
+  );
+}
+
+async function handleRequestCancelled(message) {
+  const requestId = message.request_id;
+  const request = await db.getRequestReceivedFromMQ(requestId);
+  const rpId =
+    request != null ? request.rp_id : await db.getRPIdFromRequestId(requestId);
+  if (!(await common.isRequestCancellationValid(message, rpId))) return;
+
+  await Promise.all([
+    db.removeRequestReceivedFromMQ(requestId),
+    db.removeRequestToProcessReceivedFromMQ(requestId),
+    db.removeResponseFromRequestId(requestId),
+    db.removeRPIdFromRequestId(requestId),
+    db.removeIdpPendingRequest(requestId),
+  ]);
+  await common.addRequestHistoryEvent(requestId, {
+    event: 'cancelled',
+    node_id: message.rp_id,
+    reason_code: message.reason_code,
+    reason: message.reason,
+  });
+
+  notifyByCallback({
+    url: callbackUrls.incoming_request_url,
+    type: 'request_cancelled',
+    eventDataForCallback: {
+      request_id: requestId,
+      reason_code: message.reason_code,
+      reason: message.reason,
+    },
+  });
+}
+
 export async function handleTendermintNewBlockHeaderEvent(
   error,
   result,
@@ -575,6 +1271,29 @@ export async function handleTendermintNewBlockHeaderEvent(
     toHeight,
   });
 
+  if (missingBlockCount != null) {
+    try {
+      await updatePendingRequestsFromBlocks(fromHeight, toHeight);
+    } catch (error) {
+      logger.error({
+        message: 'Cannot update pending requests',
+        fromHeight,
+        toHeight,
+        error,
+      });
+    }
+    try {
+      await failUnansweredEndorsementsFromBlocks(fromHeight, toHeight);
+    } catch (error) {
+      logger.error({
+        message: 'Cannot update endorsements of ended requests',
+        fromHeight,
+        toHeight,
+        error,
+      });
+    }
+  }
+
   const requestIdsInTendermintBlock = await db.getRequestIdsExpectedInBlock(
     fromHeight,
     toHeight
@@ -586,19 +1305,12 @@ export async function handleTendermintNewBlockHeaderEvent(
         requestId,
       });
       const message = await db.getRequestToProcessReceivedFromMQ(requestId);
+      // Request has been cancelled
+      if (message == null) return;
       await db.removeRequestToProcessReceivedFromMQ(requestId);
       //reponse for onboard
       if(message.accessor_id) {
-        if(await checkOnboardResponse(message)) {
-          let { secret, associated } = await identity.addAccessorAfterConsent(message.request_id, message.accessor_id);
-          let notifyData = {
-            request_id: message.request_id,
-            success: true,
-            secret,
-          };
-          if(associated) notifyAddAccessorResultByCallback(notifyData);
-          else notifyCreateIdentityResultByCallback(notifyData);
-        }
+        await handleOnboardResponse(message);
       }
       else if(message.type === 'request_challenge') {
         const responseId = message.request_id + ':' + message.idp_id;
@@ -610,27 +1322,43 @@ export async function handleTendermintNewBlockHeaderEvent(
           message
         );
         if (valid) {
-          notifyIncomingRequestByCallback({
-            mode: message.mode,
-            request_id: message.request_id,
-            namespace: message.namespace,
-            identifier: message.identifier,
-            request_message: message.request_message,
-            request_message_hash: utils.hash(message.request_message),
-            requester_node_id: message.rp_id,
-            min_ial: message.min_ial,
-            min_aal: message.min_aal,
-            data_request_list: message.data_request_list,
-          });
+          await handleIncomingRequest(message);
         }
       }
     })
   );
 
   db.removeRequestIdsExpectedInBlock(fromHeight, toHeight);
+
+  await common.handlePendingRequestCancellations(handleRequestCancelled);
+}
+
+async function handleOnboardResponse(message) {
+  const identityData = await db.getIdentityFromRequestId(message.request_id);
+  if(!(await checkOnboardResponse(message, identityData))) return;
+
+  if(identityData != null && identityData.identity_update) {
+    const { secret_list } = await identity.updateIdentityAfterConsent(message.request_id);
+    notifyUpdateIdentityResultByCallback({
+      request_id: message.request_id,
+      success: true,
+      secret_list,
+    });
+  }
+  else {
+    let { secret, associated, endorsement } = await identity.addAccessorAfterConsent(message.request_id, message.accessor_id);
+    let notifyData = {
+      request_id: message.request_id,
+      success: true,
+      secret,
+    };
+    if(endorsement) notifyEndorsementResultByCallback(notifyData);
+    else if(associated) notifyAddAccessorResultByCallback(notifyData);
+    else notifyCreateIdentityResultByCallback(notifyData);
+  }
 }
 
-async function checkOnboardResponse(message) {
+async function checkOnboardResponse(message, identityData) {
   let reason = false;
   let requestDetail = await tendermintNdid.getRequestDetail({
     requestId: message.request_id
@@ -645,10 +1373,27 @@ async function checkOnboardResponse(message) {
   }
 
   if(reason) {
-    notifyAddAccessorResultByCallback({
-      request_id: message.request_id,
-      success: false,
-    });
+    if(identityData != null && identityData.endorsement) {
+      await identity.setEndorsementStatus(message.request_id, 'failed');
+      notifyEndorsementResultByCallback({
+        request_id: message.request_id,
+        success: false,
+        reason,
+      });
+    }
+    else if(identityData != null && identityData.identity_update) {
+      notifyUpdateIdentityResultByCallback({
+        request_id: message.request_id,
+        success: false,
+        reason,
+      });
+    }
+    else {
+      notifyAddAccessorResultByCallback({
+        request_id: message.request_id,
+        success: false,
+      });
+    }
 
     logger.debug({
       message: 'Onboarding failed',
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import CustomError from '../error/customError';
+import { isRequestMatched } from './idpRuleMatch';
+
+import * as db from '../db';
+
+export async function upsertRule({
+  rule_id,
+  priority = 0,
+  match = {},
+  action,
+  ial,
+  aal,
+}) {
+  try {
+    await db.setIdpAutoResponseRule(rule_id, {
+      rule_id,
+      priority,
+      match,
+      action,
+      ial,
+      aal,
+    });
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot set auto-response rule',
+      cause: error,
+    });
+  }
+}
+
+export async function getRules() {
+  try {
+    const rules = await db.getAllIdpAutoResponseRules();
+    return rules
+      .map(({ rule }) => rule)
+      .sort((a, b) => a.priority - b.priority);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get auto-response rules',
+      cause: error,
+    });
+  }
+}
+
+export async function getRule(rule_id) {
+  try {
+    const rule = await db.getIdpAutoResponseRule(rule_id);
+    return rule;
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get auto-response rule',
+      cause: error,
+    });
+  }
+}
+
+export async function removeRule(rule_id) {
+  try {
+    await db.removeIdpAutoResponseRule(rule_id);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot remove auto-response rule',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Find rule with lowest priority number matching request
+ * @param {Object} request Request received from message queue
+ * @param {boolean} identityChange Whether request is identity change request
+ * @returns {Promise<Object>} rule or null if no rule matches
+ */
+export async function findMatchingRule(request, identityChange) {
+  const rules = (await db.getAllIdpAutoResponseRules())
+    .map(({ rule }) => rule)
+    .sort((a, b) => a.priority - b.priority);
+  const rule = rules.find((rule) => isRequestMatched(rule.match, request, identityChange));
+  return rule != null ? rule : null;
+}
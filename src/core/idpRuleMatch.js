@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+/**
+ * Whether request asks for consent to a change of the identity itself
+ * (adding accessor, endorsement or identity update).
+ * Those requests are created by IdP nodes. Requester with unknown role
+ * is treated as IdP.
+ * @param {Object} request Request received from message queue
+ * @param {string} requesterRole Role of requester node on blockchain
+ * @returns {boolean}
+ */
+export function isIdentityChangeRequest(request, requesterRole) {
+  if (request.identity_update != null) return true;
+  return requesterRole == null || requesterRole.toLowerCase() === 'idp';
+}
+
+/**
+ * Unset match criteria match any request.
+ * Service ID list matches when every requested service is in the list.
+ * Identity change request matches only a rule which explicitly
+ * sets identity_change to true.
+ * @param {Object} match
+ * @param {Object} request Request received from message queue
+ * @param {boolean} identityChange Whether request is identity change request
+ * @returns {boolean}
+ */
+export function isRequestMatched(match, request, identityChange) {
+  const {
+    rp_id_list,
+    namespace_list,
+    max_min_ial,
+    service_id_list,
+    identity_change,
+  } = match;
+  if (identityChange && identity_change !== true) {
+    return false;
+  }
+  if (rp_id_list != null && !rp_id_list.includes(request.rp_id)) {
+    return false;
+  }
+  if (namespace_list != null && !namespace_list.includes(request.namespace)) {
+    return false;
+  }
+  if (max_min_ial != null && request.min_ial > max_min_ial) {
+    return false;
+  }
+  if (service_id_list != null) {
+    const dataRequestList = request.data_request_list || [];
+    if (
+      !dataRequestList.every(({ service_id }) =>
+        service_id_list.includes(service_id)
+      )
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import { isRequestMatched, isIdentityChangeRequest } from './idpRuleMatch';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const request = {
+  rp_id: 'rp1',
+  namespace: 'citizen_id',
+  min_ial: 2.3,
+  data_request_list: [{ service_id: 'bank_statement' }],
+};
+
+describe('Test IdP auto-response rule matching', () => {
+  it('should match any request when no criteria is set', () => {
+    expect(isRequestMatched({}, request)).to.be.true;
+  });
+
+  it('should match request only from listed RP and namespace', () => {
+    expect(isRequestMatched({ rp_id_list: ['rp1', 'rp2'] }, request)).to.be
+      .true;
+    expect(isRequestMatched({ rp_id_list: ['rp2'] }, request)).to.be.false;
+    expect(isRequestMatched({ namespace_list: ['citizen_id'] }, request)).to
+      .be.true;
+    expect(isRequestMatched({ namespace_list: ['passport'] }, request)).to.be
+      .false;
+  });
+
+  it('should not match request with min IAL higher than max min IAL', () => {
+    expect(isRequestMatched({ max_min_ial: 2.3 }, request)).to.be.true;
+    expect(isRequestMatched({ max_min_ial: 1.1 }, request)).to.be.false;
+  });
+
+  it('should match only when every requested service is listed', () => {
+    expect(
+      isRequestMatched({ service_id_list: ['bank_statement'] }, request)
+    ).to.be.true;
+    expect(
+      isRequestMatched(
+        { service_id_list: ['bank_statement'] },
+        {
+          ...request,
+          data_request_list: [
+            { service_id: 'bank_statement' },
+            { service_id: 'credit_score' },
+          ],
+        }
+      )
+    ).to.be.false;
+    expect(
+      isRequestMatched(
+        { service_id_list: [] },
+        { ...request, data_request_list: [] }
+      )
+    ).to.be.true;
+  });
+
+  it('should require every set criteria to match', () => {
+    expect(
+      isRequestMatched(
+        { rp_id_list: ['rp1'], namespace_list: ['passport'] },
+        request
+      )
+    ).to.be.false;
+  });
+
+  it('should not answer identity change request by catch-all rule', () => {
+    const consentRequest = {
+      ...request,
+      rp_id: 'idp2',
+      data_request_list: [],
+    };
+    const identityChange = isIdentityChangeRequest(consentRequest, 'IdP');
+    expect(identityChange).to.be.true;
+    expect(isRequestMatched({}, consentRequest, identityChange)).to.be.false;
+    expect(
+      isRequestMatched({ rp_id_list: ['idp2'] }, consentRequest, identityChange)
+    ).to.be.false;
+    expect(
+      isRequestMatched({ identity_change: true }, consentRequest, identityChange)
+    ).to.be.true;
+  });
+
+  it('should treat request with identity update or from unknown role as identity change', () => {
+    expect(isIdentityChangeRequest(request, 'RP')).to.be.false;
+    expect(isIdentityChangeRequest(request, null)).to.be.true;
+    expect(
+      isIdentityChangeRequest(
+        {
+          ...request,
+          identity_update: {
+            new_namespace: 'citizen_id',
+            new_identifier: '1234',
+          },
+        },
+        'RP'
+      )
+    ).to.be.true;
+  });
+});
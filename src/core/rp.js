@@ -22,8 +22,17 @@
 
 import fs from 'fs';
 import path from 'path';
-
-import { callbackToClient } from '../utils/callback';
+import { Readable } from 'stream';
+
+import {
+  callbackToClient,
+  stopCallbackRetriesForRequest,
+} from '../utils/callback';
+import {
+  isChunkIndexValid,
+  reassembleDataChunks,
+  createBase64DecodingStream,
+} from '../utils/dataChunk';
 import CustomError from '../error/customError';
 import logger from '../logger';
 
@@ -34,6 +43,7 @@ import * as config from '../config';
 import * as common from './common';
 import * as db from '../db';
 import * as utils from '../utils';
+import errorType from '../error/type';
 
 const callbackUrls = {};
 
@@ -89,7 +99,7 @@ export const getCallbackUrls = () => {
  * @param {string} requestId
  * @param {integer} height
  */
-async function notifyRequestUpdate(requestId, height) {
+async function notifyRequestUpdate(requestId, height, txIndex) {
   // logger.debug({
   //   message: 'RP check zk proof and notify',
   //   requestId,
@@ -104,6 +114,12 @@ async function notifyRequestUpdate(requestId, height) {
 
   const requestStatus = utils.getDetailedRequestStatus(requestDetail);
 
+  await db.updateRequestStatusInIndex(
+    requestId,
+    getRequestIndexStatus(requestStatus),
+    requestStatus.status === 'completed'
+  );
+
   // ZK Proof and IAL verification is needed only when got new response from IdP
   let needResponseVerification = false;
   if (
@@ -135,6 +151,8 @@ async function notifyRequestUpdate(requestId, height) {
     await checkIdpResponseAndNotify({
       requestStatus, 
       height, 
+      responseHeight: height,
+      txIndex,
       idpId: idpNodeId, 
       callbackUrl,
       responseIal: requestDetail.response_list.find(
@@ -149,6 +167,7 @@ async function notifyRequestUpdate(requestId, height) {
     type: 'request_status',
     ...requestStatus,
     response_valid_list: savedResponseValidList,
+    deadline: await db.getTimeoutScheduler(requestId),
   };
 
   await callbackToClient(callbackUrl, eventDataForCallback, true);
@@ -177,8 +196,10 @@ async function notifyRequestUpdate(requestId, height) {
     await checkAsDataSignaturesAndSetReceived(requestId, dataToCheckList);
   }
 
+  // Request which cannot be completed because too many ASes declined
+  // is closed as well
   if (
-    requestStatus.status === 'completed' &&
+    (requestStatus.status === 'completed' || requestStatus.data_unavailable) &&
     !requestStatus.closed &&
     !requestStatus.timed_out
   ) {
@@ -190,22 +211,75 @@ async function notifyRequestUpdate(requestId, height) {
     requestStatus.timed_out
   ) {
     // Clean up
-    // Clear callback url mapping, reference ID mapping, and request data to send to AS
+    // Clear callback url mapping and request data to send to AS
     // since the request is no longer going to have further events
     // (the request has reached its end state)
     db.removeRequestCallbackUrl(requestId);
-    db.removeRequestIdReferenceIdMappingByRequestId(requestId);
+    retainReferenceId(requestId);
     db.removeRequestData(requestId);
     db.removeIdpResponseValidList(requestId);
+    db.removeRequestRecipients(requestId);
     db.removeTimeoutScheduler(requestId);
     clearTimeout(common.timeoutScheduler[requestId]);
     delete common.timeoutScheduler[requestId];
   }
 }
 
+/**
+ * Check IAL of IdP response against IAL of identity in effect
+ * at block height of the response
+ * @param {Object} data
+ * @param {string} data.requestId
+ * @param {string} data.idpId
+ * @param {number} data.responseIal
+ * @param {number} data.responseHeight
+ * @returns {Promise<boolean>} Whether IAL is valid or null if cannot be checked
+ */
+async function checkResponseIal({
+  requestId,
+  idpId,
+  responseIal,
+  responseHeight,
+}) {
+  const requestData = await db.getRequestData(requestId);
+  let identityInfo;
+  try {
+    identityInfo = await tendermintNdid.getIdentityInfo(
+      requestData.namespace,
+      requestData.identifier,
+      idpId,
+      responseHeight
+    );
+  } catch (error) {
+    // State at the height may have been pruned.
+    // IAL in effect at other time cannot be used instead.
+    const err = new CustomError({
+      message: errorType.CANNOT_CHECK_RESPONSE_IAL.message,
+      code: errorType.CANNOT_CHECK_RESPONSE_IAL.code,
+      cause: error,
+      details: {
+        requestId,
+        idpId,
+        responseHeight,
+      },
+    });
+    logger.error(err.getInfoForLog());
+    common.notifyError({
+      stage: 'check_response_ial',
+      request_id: requestId,
+      error: err,
+    });
+    return null;
+  }
+  if (identityInfo == null) return false;
+  return responseIal <= identityInfo.ial;
+}
+
 async function checkIdpResponseAndNotify({
   requestStatus,
   height,
+  responseHeight,
+  txIndex,
   idpId,
   callbackUrl,
   responseIal,
@@ -227,22 +301,16 @@ async function checkIdpResponseAndNotify({
 
   const requestId = requestStatus.request_id;
 
-  // Check IAL
-  const requestData = await db.getRequestData(requestId);
-  const identityInfo = await tendermintNdid.getIdentityInfo(
-    requestData.namespace,
-    requestData.identifier,
-    idpId
-  );
-
   if (requestStatus.mode === 1) {
     validIal = true; // Actually, cannot check in mode 1
   } else if (requestStatus.mode === 3) {
-    if (responseIal <= identityInfo.ial) {
-      validIal = true;
-    } else {
-      validIal = false;
-    }
+    // Check IAL against IAL in effect when IdP responded
+    validIal = await checkResponseIal({
+      requestId,
+      idpId,
+      responseIal,
+      responseHeight,
+    });
   }
 
   // Check ZK Proof
@@ -268,6 +336,13 @@ async function checkIdpResponseAndNotify({
   };
 
   await db.addIdpResponseValidList(requestId, responseValid);
+  await common.addRequestHistoryEvent(requestId, {
+    event: 'idp_responded',
+    height,
+    tx_index: txIndex,
+    ...responseValid,
+    node_id: idpId,
+  });
 
   const responseValidList = savedResponseValidList.concat([responseValid]);
 
@@ -288,6 +363,7 @@ async function checkIdpResponseAndNotify({
     type: 'request_status',
     ...requestStatus,
     response_valid_list: responseValidList,
+    deadline: await db.getTimeoutScheduler(requestId),
   };
 
   await callbackToClient(callbackUrl, eventDataForCallback, true);
@@ -296,6 +372,55 @@ async function checkIdpResponseAndNotify({
   db.removeExpectedIdpResponseNodeId(requestStatus.request_id);
 }
 
+/**
+ * Keep reference ID of a finished request for retention period
+ * @param {string} requestId
+ */
+async function retainReferenceId(requestId) {
+  try {
+    const referenceId = await db.getReferenceIdByRequestId(requestId);
+    if (referenceId != null) {
+      const referenceIdInfo = await db.getReferenceIdInfo(referenceId);
+      if (referenceIdInfo != null) {
+        await db.setReferenceIdExpireTime(
+          referenceId,
+          Date.now() + config.referenceIdRetentionPeriod * 1000
+        );
+      } else {
+        await db.removeRequestIdReferenceIdMappingByRequestId(requestId);
+      }
+    }
+  } catch (error) {
+    logger.error({
+      message: 'Cannot set reference ID retention',
+      requestId,
+      error,
+    });
+  }
+}
+
+/**
+ * Clean up reference IDs which have passed retention period
+ */
+export async function removeExpiredReferenceIds() {
+  try {
+    const expiredReferenceIds = await db.getExpiredReferenceIds(Date.now());
+    await Promise.all(
+      expiredReferenceIds.map((expiredReferenceId) =>
+        Promise.all([
+          db.removeRequestIdByReferenceId(expiredReferenceId),
+          db.removeReferenceIdInfo(expiredReferenceId),
+        ])
+      )
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Cannot remove expired reference IDs',
+      error,
+    });
+  }
+}
+
 function isAllIdpResponsesValid(responseValidList) {
   for (let i = 0; i < responseValidList.length; i++) {
     const { valid_proof, valid_ial } = responseValidList[i];
@@ -330,7 +455,7 @@ export async function handleTendermintNewBlockHeaderEvent(
     blocks.map(async (block) => {
       const transactions = tendermint.getTransactionListFromBlockQuery(block);
       await Promise.all(
-        transactions.map(async (transaction) => {
+        transactions.map(async (transaction, txIndex) => {
           // TODO: clear key with smart-contract, eg. request_id or requestId
           const requestId =
             transaction.args.request_id || transaction.args.requestId; //derive from tx;
@@ -340,7 +465,13 @@ export async function handleTendermintNewBlockHeaderEvent(
           }
           else {
             const height = block.block.header.height;
-            await notifyRequestUpdate(requestId, height);
+            await addRequestHistoryEventFromTransaction(
+              requestId,
+              height,
+              txIndex,
+              transaction
+            );
+            await notifyRequestUpdate(requestId, height, txIndex);
           }
         })
       );
@@ -348,6 +479,59 @@ export async function handleTendermintNewBlockHeaderEvent(
   );
 }
 
+/**
+ * Record request state transition caused by a transaction in blockchain
+ * IdP responses are recorded after their proof and IAL are checked
+ * @param {string} requestId
+ * @param {number} height
+ * @param {number} txIndex Index of transaction in block
+ * @param {Object} transaction
+ */
+async function addRequestHistoryEventFromTransaction(
+  requestId,
+  height,
+  txIndex,
+  transaction
+) {
+  const callbackUrl = await db.getRequestCallbackUrl(requestId);
+  if (!callbackUrl) return; // This RP does not concern this request
+
+  const { fnName, args } = transaction;
+  let event;
+  if (fnName === 'CreateRequest') {
+    event = { event: 'created', node_id: config.nodeId };
+  } else if (fnName === 'SignData') {
+    event = {
+      event: 'as_signed',
+      node_id: args.as_id,
+      service_id: args.service_id,
+    };
+  } else if (fnName === 'SetDataReceived') {
+    event = {
+      event: 'data_received',
+      node_id: args.as_id,
+      service_id: args.service_id,
+    };
+  } else if (fnName === 'CloseRequest') {
+    event = { event: 'closed', node_id: config.nodeId };
+  } else if (fnName === 'TimeOutRequest') {
+    event = { event: 'timed_out', node_id: config.nodeId };
+  } else if (fnName === 'ExtendRequestTimeout') {
+    event = {
+      event: 'timeout_extended',
+      node_id: config.nodeId,
+      request_timeout: args.request_timeout,
+    };
+  } else {
+    return;
+  }
+  await common.addRequestHistoryEvent(requestId, {
+    ...event,
+    height,
+    tx_index: txIndex,
+  });
+}
+
 async function getASReceiverList(data_request) {
   let nodeIdList;
   if (!data_request.as_id_list || data_request.as_id_list.length === 0) {
@@ -365,6 +549,7 @@ async function getASReceiverList(data_request) {
         //let nodeId = node.node_id;
         let { ip, port } = await tendermintNdid.getMsqAddress(asNodeId);
         return {
+          node_id: asNodeId,
           ip,
           port,
           ...(await tendermintNdid.getNodePubKey(asNodeId)),
@@ -387,28 +572,362 @@ async function sendRequestToAS(requestData, height) {
   let challenge = await db.getChallengeFromRequestId(requestData.request_id);
   if (requestData.data_request_list != undefined) {
     requestData.data_request_list.forEach(async (data_request) => {
-      let receivers = await getASReceiverList(data_request);
-      if (receivers.length === 0) {
-        logger.error({
-          message: 'No AS found',
-          data_request,
+      try {
+        let receivers = await getASReceiverList(data_request);
+        if (receivers.length === 0) {
+          throw new CustomError({
+            message: errorType.AS_NOT_FOUND.message,
+            code: errorType.AS_NOT_FOUND.code,
+            details: {
+              service_id: data_request.service_id,
+              as_id_list: data_request.as_id_list,
+            },
+          });
+        }
+
+        await mq.send(receivers, {
+          request_id: requestData.request_id,
+          namespace: requestData.namespace,
+          identifier: requestData.identifier,
+          service_id: data_request.service_id,
+          request_params: data_request.request_params,
+          request_params_salt: data_request.request_params_salt,
+          rp_id: requestData.rp_id,
+          request_message: requestData.request_message,
+          height,
+          challenge,
+          secretSalt: requestData.secretSalt,
+          privateProofObjectList: requestData.privateProofObjectList,
+        });
+
+        await Promise.all(
+          receivers.map((receiver) =>
+            db.addRequestRecipient(requestData.request_id, {
+              node_id: receiver.node_id,
+              service_id: data_request.service_id,
+            })
+          )
+        );
+      } catch (error) {
+        const err = new CustomError({
+          message: 'Cannot send request to AS',
+          cause: error,
+        });
+        logger.error(err.getInfoForLog());
+        common.notifyError({
+          stage: 'send_request_to_as',
+          request_id: requestData.request_id,
+          error: err,
         });
-        return;
       }
+    });
+  }
+}
 
-      mq.send(receivers, {
-        request_id: requestData.request_id,
-        namespace: requestData.namespace,
-        identifier: requestData.identifier,
-        service_id: data_request.service_id,
-        request_params: data_request.request_params,
-        rp_id: requestData.rp_id,
-        request_message: requestData.request_message,
-        height,
-        challenge,
-        secretSalt: requestData.secretSalt,
-        privateProofObjectList: requestData.privateProofObjectList,
-      });
+/**
+ * Create multiple requests with bounded concurrency
+ * Requests with the same reference ID are created one after another
+ * by common.createRequest
+ * @param {Array.<Object>} requests Same as argument of common.createRequest
+ * @returns {Promise<Array.<Object>>} Request ID or error of each request in the same order
+ */
+export async function createRequests(requests) {
+  const results = [];
+  let nextIndex = 0;
+
+  const createRequest = async (request) => {
+    try {
+      const requestId = await common.createRequest(request);
+      return { request_id: requestId };
+    } catch (error) {
+      return {
+        error: {
+          code: error.getCode(),
+          message: error.getMessageWithCode(),
+        },
+      };
+    }
+  };
+
+  const worker = async () => {
+    while (nextIndex < requests.length) {
+      const index = nextIndex++;
+      results[index] = await createRequest(requests[index]);
+    }
+  };
+
+  const workerCount = Math.min(
+    config.bulkRequestMaxConcurrency,
+    requests.length
+  );
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Status of request as kept in local request index
+ * Closed and timed out requests are indexed by their end state.
+ * Completion is indexed separately so that a completed request
+ * can still be found by status "completed" after it is closed.
+ * @param {Object} requestStatus
+ * @returns {string}
+ */
+function getRequestIndexStatus(requestStatus) {
+  if (requestStatus.closed) return 'closed';
+  if (requestStatus.timed_out) return 'timed_out';
+  return requestStatus.status;
+}
+
+/**
+ * Search requests created by this node
+ * @param {Object} filter
+ * @param {string} filter.status
+ * @param {string} filter.namespace
+ * @param {string} filter.identifier
+ * @param {number} filter.from_time Unix time in milliseconds
+ * @param {number} filter.to_time Unix time in milliseconds
+ * @param {number} filter.offset
+ * @param {number} filter.limit
+ * @returns {Promise<Object>} Total count and list of requests
+ */
+export async function getRequestList({
+  status,
+  namespace,
+  identifier,
+  from_time,
+  to_time,
+  offset,
+  limit,
+}) {
+  try {
+    const { count, rows } = await db.searchRequestIndex({
+      status,
+      namespace,
+      identifier,
+      fromTime: from_time,
+      toTime: to_time,
+      offset,
+      limit,
+    });
+    return {
+      total_count: count,
+      requests: rows.map((row) => ({
+        request_id: row.requestId,
+        reference_id: row.referenceId,
+        mode: row.mode,
+        namespace: row.namespace,
+        identifier: row.identifier,
+        status: row.status,
+        completed: row.completed === true,
+        created_time: row.createdTime,
+        last_updated_time: row.lastUpdatedTime,
+      })),
+    };
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get request list',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get request data of a request created by this node
+ * which is not yet closed or timed out
+ * @param {string} request_id
+ * @returns {Promise<Object>} Request data
+ */
+async function getOpenRequestData(request_id) {
+  const requestDetail = await tendermintNdid.getRequestDetail({
+    requestId: request_id,
+  });
+  if (requestDetail == null) {
+    throw new CustomError({
+      message: errorType.REQUEST_NOT_FOUND.message,
+      code: errorType.REQUEST_NOT_FOUND.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  if (requestDetail.closed) {
+    throw new CustomError({
+      message: errorType.REQUEST_IS_CLOSED.message,
+      code: errorType.REQUEST_IS_CLOSED.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  if (requestDetail.timed_out) {
+    throw new CustomError({
+      message: errorType.REQUEST_IS_TIMED_OUT.message,
+      code: errorType.REQUEST_IS_TIMED_OUT.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  // Only requests created by this node have request data
+  const requestData = await db.getRequestData(request_id);
+  if (requestData == null) {
+    throw new CustomError({
+      message: errorType.REQUEST_NOT_FOUND.message,
+      code: errorType.REQUEST_NOT_FOUND.code,
+      clientError: true,
+      details: {
+        request_id,
+      },
+    });
+  }
+  return requestData;
+}
+
+/**
+ * Cancel a request created by this node
+ * Close the request on blockchain and notify IdPs and ASes
+ * which the request has been sent to
+ * @param {Object} cancellation
+ * @param {string} cancellation.request_id
+ * @param {string} cancellation.reason_code
+ * @param {string} cancellation.reason
+ */
+export async function cancelRequest({ request_id, reason_code, reason }) {
+  try {
+    await getOpenRequestData(request_id);
+
+    const recipients = await db.getRequestRecipients(request_id);
+
+    // Close on chain first so that the request keeps its timeout
+    // and pending callbacks if the transaction fails
+    await common.closeRequest(request_id);
+
+    await db.setRequestCancellation(request_id, {
+      reason_code,
+      reason,
+      cancelled_time: Date.now(),
+    });
+    await common.addRequestHistoryEvent(request_id, {
+      event: 'cancelled',
+      node_id: config.nodeId,
+      reason_code,
+      reason,
+    });
+
+    db.removeTimeoutScheduler(request_id);
+    clearTimeout(common.timeoutScheduler[request_id]);
+    delete common.timeoutScheduler[request_id];
+    await stopCallbackRetriesForRequest(request_id);
+
+    await Promise.all(
+      recipients.map(async ({ node_id, service_id }) => {
+        try {
+          const { ip, port } = await tendermintNdid.getMsqAddress(node_id);
+          const receiver = {
+            node_id,
+            ip,
+            port,
+            ...(await tendermintNdid.getNodePubKey(node_id)),
+          };
+          await mq.send([receiver], {
+            type: 'request_cancelled',
+            request_id,
+            service_id,
+            reason_code,
+            reason,
+            rp_id: config.nodeId,
+          });
+        } catch (error) {
+          logger.error({
+            message: 'Cannot send request cancellation',
+            request_id,
+            node_id,
+            error,
+          });
+        }
+      })
+    );
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot cancel a request',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Get creation time of a request created by this node from the block
+ * which the request is in
+ * @param {string} request_id
+ * @param {Object} requestData
+ * @returns {Promise<number>} Unix time in milliseconds
+ */
+async function getRequestCreationTime(request_id, requestData) {
+  const height = requestData.creation_block_height;
+  if (height == null) {
+    throw new CustomError({
+      message: 'Cannot get request creation block height',
+      details: {
+        request_id,
+      },
+    });
+  }
+  const [block] = await tendermint.getBlocks(height, height);
+  return Date.parse(block.block.header.time);
+}
+
+/**
+ * Extend timeout of a request created by this node
+ * @param {Object} extension
+ * @param {string} extension.request_id
+ * @param {number} extension.extend_timeout_by In seconds
+ * @returns {Promise<Object>} New request timeout and deadline
+ */
+export async function extendRequestTimeout({ request_id, extend_timeout_by }) {
+  try {
+    const requestData = await getOpenRequestData(request_id);
+
+    let unixTimeout = await db.getTimeoutScheduler(request_id);
+    const hasTimeoutScheduler = unixTimeout != null;
+    if (!hasTimeoutScheduler) {
+      unixTimeout =
+        (await getRequestCreationTime(request_id, requestData)) +
+        requestData.request_timeout * 1000;
+    }
+    const newUnixTimeout = unixTimeout + extend_timeout_by * 1000;
+    const request_timeout = requestData.request_timeout + extend_timeout_by;
+
+    await tendermintNdid.extendRequestTimeout({
+      requestId: request_id,
+      request_timeout,
+    });
+
+    await db.setRequestData(request_id, {
+      ...requestData,
+      request_timeout,
+    });
+    if (hasTimeoutScheduler) {
+      await db.updateTimeoutScheduler(request_id, newUnixTimeout);
+    } else {
+      await db.addTimeoutScheduler(request_id, newUnixTimeout);
+    }
+    clearTimeout(common.timeoutScheduler[request_id]);
+    common.runTimeoutScheduler(
+      request_id,
+      (newUnixTimeout - Date.now()) / 1000
+    );
+
+    return {
+      request_timeout,
+      deadline: newUnixTimeout,
+    };
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot extend request timeout',
+      cause: error,
     });
   }
 }
@@ -441,8 +960,47 @@ export async function getDataFromAS(requestId) {
   }
 }
 
+/**
+ * Get data of a service from AS as binary
+ * Data without content type (plain string data) is returned as text
+ * @param {Object} args
+ * @param {string} args.request_id
+ * @param {string} args.service_id
+ * @param {string} [args.as_id] Required only when there are data from multiple AS
+ * @returns {Promise<Object>} Content type and stream of data or null if data is not found
+ */
+export async function getBinaryDataFromAS({ request_id, service_id, as_id }) {
+  const dataList = await getDataFromAS(request_id);
+  if (dataList == null) return null;
+
+  const dataFromAS = dataList.find(
+    (data) =>
+      data.service_id === service_id &&
+      (as_id == null || data.source_node_id === as_id)
+  );
+  if (dataFromAS == null) return null;
+
+  return dataFromAS.content_type != null
+    ? {
+        content_type: dataFromAS.content_type,
+        stream: createBase64DecodingStream(dataFromAS.data),
+      }
+    : {
+        content_type: 'text/plain',
+        stream: createStringStream(dataFromAS.data),
+      };
+}
+
+function createStringStream(data) {
+  const stream = new Readable();
+  stream.push(data);
+  stream.push(null);
+  return stream;
+}
+
 export async function removeDataFromAS(requestId) {
   try {
+    await db.removeRequestHistory(requestId);
     return await db.removeDataFromAS(requestId);
   } catch (error) {
     throw new CustomError({
@@ -454,6 +1012,8 @@ export async function removeDataFromAS(requestId) {
 
 export async function removeAllDataFromAS() {
   try {
+    await db.removeAllDataChunksFromAS();
+    await db.removeAllRequestHistory();
     return await db.removeAllDataFromAS();
   } catch (error) {
     throw new CustomError({
@@ -463,6 +1023,34 @@ export async function removeAllDataFromAS() {
   }
 }
 
+async function handleIdpIalChanged(message) {
+  const callbackUrl = await db.getRequestCallbackUrl(message.request_id);
+  if (!callbackUrl) return; // This RP does not concern this request
+
+  const eventData = {
+    request_id: message.request_id,
+    idp_id: message.idp_id,
+    ial: message.ial,
+    previous_ial: message.previous_ial,
+    height: message.height,
+  };
+
+  await common.addRequestHistoryEvent(message.request_id, {
+    event: 'idp_ial_changed',
+    ...eventData,
+    node_id: message.idp_id,
+  });
+
+  await callbackToClient(
+    callbackUrl,
+    {
+      type: 'idp_ial_changed',
+      ...eventData,
+    },
+    true
+  );
+}
+
 export async function handleMessageFromQueue(messageStr) {
   logger.info({
     message: 'Received message from MQ',
@@ -476,6 +1064,10 @@ export async function handleMessageFromQueue(messageStr) {
 
   //distinguish between message from idp, as
   if (message.idp_id != null) {
+    if (message.type === 'ial_changed') {
+      await handleIdpIalChanged(message);
+      return;
+    }
     //check accessor_id, undefined means mode 1
     if(message.accessor_id) {
       //store private parameter from EACH idp to request, to pass along to as
@@ -552,46 +1144,162 @@ export async function handleMessageFromQueue(messageStr) {
     await checkIdpResponseAndNotify({
       requestStatus,
       height: latestBlockHeight,
+      responseHeight: message.height,
       idpId: message.idp_id,
       callbackUrl,
+      responseIal: requestDetail.response_list.find(
+        (response) => response.idp_id === message.idp_id
+      ).ial,
       requestDataFromMq: message,
       mode: message.accessor_id ? 3 : 1,
     });
   } else if (message.as_id != null) {
     // Receive data from AS
-    try {
-      await db.addDataFromAS(message.request_id, {
-        source_node_id: message.as_id,
-        service_id: message.service_id,
-        source_signature: message.signature,
-        data: message.data,
-      });
+    if (message.type === 'data_chunk') {
+      await handleDataChunkFromAS(message);
+    } else {
+      await handleDataFromAS(message);
+    }
+  }
+}
 
-      const latestBlockHeight = tendermint.latestBlockHeight;
-      if (latestBlockHeight > message.height) {
-        const signatureFromBlockchain = await tendermintNdid.getDataSignature({
-          request_id: message.request_id,
-          service_id: message.service_id,
-          node_id: message.as_id
-        });
+// Chunks of the same data are handled one at a time
+// so that the data is reassembled only once
+const dataChunkQueues = {};
 
-        if (signatureFromBlockchain == null) return;
-        // TODO: if signature is invalid or mismatch then delete data from cache
-        if (message.signature !== signatureFromBlockchain) return;
-        if (!(await isDataSignatureValid(message.as_id, signatureFromBlockchain, message.data))) {
-          return;
-        }
+function handleDataChunkFromAS(message) {
+  const transferId = `${message.request_id}:${message.service_id}:${
+    message.as_id
+  }`;
+  const handling = (dataChunkQueues[transferId] || Promise.resolve()).then(
+    () => addDataChunkAndReassemble(transferId, message)
+  );
+  const queue = handling
+    .catch(() => {})
+    .then(() => {
+      if (dataChunkQueues[transferId] === queue) {
+        delete dataChunkQueues[transferId];
+      }
+    });
+  dataChunkQueues[transferId] = queue;
+  return handling;
+}
 
-        await tendermintNdid.setDataReceived({
-          requestId: message.request_id,
-          service_id: message.service_id,
-          as_id: message.as_id,
-        });
+function notifyDataChunkError(message, type) {
+  const err = new CustomError({
+    message: type.message,
+    code: type.code,
+    details: {
+      as_id: message.as_id,
+      service_id: message.service_id,
+      chunk_index: message.chunk_index,
+      chunk_count: message.chunk_count,
+    },
+  });
+  logger.error(err.getInfoForLog());
+  common.notifyError({
+    stage: 'receive_data_chunk',
+    request_id: message.request_id,
+    error: err,
+  });
+}
+
+async function addDataChunkAndReassemble(transferId, message) {
+  if (utils.hash(message.chunk) !== message.chunk_hash) {
+    notifyDataChunkError(message, errorType.DATA_CHUNK_HASH_MISMATCHED);
+    return;
+  }
+  if (!isChunkIndexValid(message.chunk_index, message.chunk_count)) {
+    notifyDataChunkError(message, errorType.DATA_CHUNKS_INVALID);
+    return;
+  }
+
+  const savedChunkCount = await db.countDataChunksFromAS(transferId);
+  // Chunk resent after the data has been reassembled
+  if (savedChunkCount === 0) {
+    const dataFromAS = await db.getDatafromAS(message.request_id);
+    if (
+      dataFromAS.find(
+        (data) =>
+          data.service_id === message.service_id &&
+          data.source_node_id === message.as_id
+      ) != null
+    ) {
+      return;
+    }
+  }
+
+  await db.setDataChunkFromAS(transferId, message.chunk_index, {
+    chunk_index: message.chunk_index,
+    chunk_count: message.chunk_count,
+    signature: message.signature,
+    chunk: message.chunk,
+  });
+  // Count saved chunks instead of reading all of them on every chunk
+  if ((await db.countDataChunksFromAS(transferId)) < message.chunk_count) {
+    return;
+  }
+
+  // Chunks of a previous transfer may be among them until replaced
+  const chunks = (await db.getDataChunksFromAS(transferId)).filter(
+    (chunk) =>
+      chunk.chunk_count === message.chunk_count &&
+      chunk.signature === message.signature
+  );
+  const data = reassembleDataChunks(chunks, message.chunk_count);
+  if (data == null) return;
+
+  await db.removeDataChunksFromAS(transferId);
+  // Chunk count is not signed; data made up from chunks must be what AS signed
+  if (!(await isDataSignatureValid(message.as_id, message.signature, data))) {
+    notifyDataChunkError(message, errorType.DATA_CHUNKS_INVALID);
+    return;
+  }
+  await handleDataFromAS({
+    request_id: message.request_id,
+    as_id: message.as_id,
+    service_id: message.service_id,
+    signature: message.signature,
+    content_type: message.content_type,
+    height: message.height,
+    data,
+  });
+}
+
+async function handleDataFromAS(message) {
+  try {
+    await db.addDataFromAS(message.request_id, {
+      source_node_id: message.as_id,
+      service_id: message.service_id,
+      source_signature: message.signature,
+      content_type: message.content_type,
+      data: message.data,
+    });
+
+    const latestBlockHeight = tendermint.latestBlockHeight;
+    if (latestBlockHeight > message.height) {
+      const signatureFromBlockchain = await tendermintNdid.getDataSignature({
+        request_id: message.request_id,
+        service_id: message.service_id,
+        node_id: message.as_id
+      });
+
+      if (signatureFromBlockchain == null) return;
+      // TODO: if signature is invalid or mismatch then delete data from cache
+      if (message.signature !== signatureFromBlockchain) return;
+      if (!(await isDataSignatureValid(message.as_id, signatureFromBlockchain, message.data))) {
+        return;
       }
-    } catch (error) {
-      // TODO: error handling
-      throw error;
+
+      await tendermintNdid.setDataReceived({
+        requestId: message.request_id,
+        service_id: message.service_id,
+        as_id: message.as_id,
+      });
     }
+  } catch (error) {
+    // TODO: error handling
+    throw error;
   }
 }
 
@@ -86,6 +86,157 @@ export function getAllCallbackWithRetryData() {
   });
 }
 
+export function getMqOutboxData(outboxId) {
+  return db.get({
+    name: 'mqOutbox',
+    keyName: 'outboxId',
+    key: outboxId,
+    valueName: 'data',
+  });
+}
+
+export function setMqOutboxData(outboxId, data) {
+  return db.set({
+    name: 'mqOutbox',
+    keyName: 'outboxId',
+    key: outboxId,
+    valueName: 'data',
+    value: data,
+  });
+}
+
+// Only updates existing data so that data removed on ack is not written back
+export function updateMqOutboxData(outboxId, data) {
+  return db.updateRow({
+    name: 'mqOutbox',
+    keyName: 'outboxId',
+    key: outboxId,
+    values: { data },
+  });
+}
+
+export function removeMqOutboxData(outboxId) {
+  return db.remove({
+    name: 'mqOutbox',
+    keyName: 'outboxId',
+    key: outboxId,
+  });
+}
+
+export function getAllMqOutboxData() {
+  return db.getAll({
+    name: 'mqOutbox',
+  });
+}
+
+export function addMqDeadLetterData(outboxId, data) {
+  return db.set({
+    name: 'mqDeadLetter',
+    keyName: 'outboxId',
+    key: outboxId,
+    valueName: 'data',
+    value: data,
+  });
+}
+
+export function getReceivedMqMessageSentTime(msgId) {
+  return db.get({
+    name: 'receivedMqMessage',
+    keyName: 'msgId',
+    key: msgId,
+    valueName: 'sentTime',
+  });
+}
+
+export function setReceivedMqMessageSentTime(msgId, sentTime) {
+  return db.set({
+    name: 'receivedMqMessage',
+    keyName: 'msgId',
+    key: msgId,
+    valueName: 'sentTime',
+    value: sentTime,
+  });
+}
+
+export function removeReceivedMqMessageIdsSentBefore(unixTime) {
+  return db.removeListRange({
+    name: 'receivedMqMessage',
+    keyName: 'sentTime',
+    keyRange: {
+      gte: 0,
+      lte: unixTime,
+    },
+  });
+}
+
+export function addMqRejectedMessage(nodeId, rejection) {
+  return db.pushToList({
+    name: 'mqRejectedMessage',
+    keyName: 'nodeId',
+    key: nodeId,
+    valueName: 'rejection',
+    value: rejection,
+  });
+}
+
+export function getMqReceiveErrors(nodeId) {
+  return db.getList({
+    name: 'mqReceiveError',
+    keyName: 'nodeId',
+    key: nodeId,
+    valueName: 'error',
+  });
+}
+
+export function getAllMqReceiveErrors() {
+  return db.getAll({
+    name: 'mqReceiveError',
+  });
+}
+
+export function addMqReceiveError(nodeId, error) {
+  return db.pushToList({
+    name: 'mqReceiveError',
+    keyName: 'nodeId',
+    key: nodeId,
+    valueName: 'error',
+    value: error,
+  });
+}
+
+export function getRequestHistory(requestId) {
+  return db.getList({
+    name: 'requestHistory',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'event',
+  });
+}
+
+export function addRequestHistoryEvent(requestId, event) {
+  return db.pushToList({
+    name: 'requestHistory',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'event',
+    value: event,
+  });
+}
+
+export function removeRequestHistory(requestId) {
+  return db.removeList({
+    name: 'requestHistory',
+    keyName: 'requestId',
+    key: requestId,
+  });
+}
+
+export function removeAllRequestHistory() {
+  return db.removeAllLists({
+    name: 'requestHistory',
+  });
+}
+
 //
 // Used by IdP and AS
 //
@@ -367,6 +518,187 @@ export function setPublicProofReceivedFromMQ(responseId, publicProofArray) {
   });
 }
 
+export function getAllPendingRequestCancellations() {
+  return db.getAll({ name: 'pendingRequestCancellation' });
+}
+
+export function addPendingRequestCancellation(requestId, message) {
+  return db.set({
+    name: 'pendingRequestCancellation',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'message',
+    value: message,
+  });
+}
+
+export function removePendingRequestCancellation(requestId) {
+  return db.remove({
+    name: 'pendingRequestCancellation',
+    keyName: 'requestId',
+    key: requestId,
+  });
+}
+
+//
+// Used by IdP
+//
+
+export function getIdpPendingRequest(requestId) {
+  return db.get({
+    name: 'idpPendingRequest',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'request',
+  });
+}
+
+export function getAllIdpPendingRequests() {
+  return db.getAll({ name: 'idpPendingRequest' });
+}
+
+export function setIdpPendingRequest(requestId, request) {
+  return db.set({
+    name: 'idpPendingRequest',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'request',
+    value: request,
+  });
+}
+
+export function removeIdpPendingRequest(requestId) {
+  return db.remove({
+    name: 'idpPendingRequest',
+    keyName: 'requestId',
+    key: requestId,
+  });
+}
+
+export function getIdentityAccessors(hashId) {
+  return db.getList({
+    name: 'identityAccessor',
+    keyName: 'hashId',
+    key: hashId,
+    valueName: 'accessor',
+  });
+}
+
+export function setIdentityAccessor(hashId, accessorId, accessor) {
+  return db.setRow({
+    name: 'identityAccessor',
+    row: {
+      accessorId,
+      hashId,
+      accessor,
+    },
+  });
+}
+
+export function removeIdentityAccessors(hashId) {
+  return db.removeList({
+    name: 'identityAccessor',
+    keyName: 'hashId',
+    key: hashId,
+  });
+}
+
+export function getIdentityIalHistory(hashId) {
+  return db.getList({
+    name: 'identityIalHistory',
+    keyName: 'hashId',
+    key: hashId,
+    valueName: 'change',
+  });
+}
+
+export function addIdentityIalHistory(hashId, change) {
+  return db.pushToList({
+    name: 'identityIalHistory',
+    keyName: 'hashId',
+    key: hashId,
+    valueName: 'change',
+    value: change,
+  });
+}
+
+export function getAccessorEndorsements(hashId) {
+  return db.getList({
+    name: 'accessorEndorsement',
+    keyName: 'hashId',
+    key: hashId,
+    valueName: 'endorsement',
+  });
+}
+
+export function getAccessorEndorsement(requestId) {
+  return db.get({
+    name: 'accessorEndorsement',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'endorsement',
+  });
+}
+
+export function setAccessorEndorsement(requestId, hashId, endorsement) {
+  return db.setRow({
+    name: 'accessorEndorsement',
+    row: {
+      requestId,
+      hashId,
+      endorsement,
+    },
+  });
+}
+
+export function updateAccessorEndorsement(requestId, endorsement) {
+  return db.updateRow({
+    name: 'accessorEndorsement',
+    keyName: 'requestId',
+    key: requestId,
+    values: { endorsement },
+  });
+}
+
+export function removeAccessorEndorsements(hashId) {
+  return db.removeList({
+    name: 'accessorEndorsement',
+    keyName: 'hashId',
+    key: hashId,
+  });
+}
+
+export function getIdpAutoResponseRule(ruleId) {
+  return db.get({
+    name: 'idpAutoResponseRule',
+    keyName: 'ruleId',
+    key: ruleId,
+    valueName: 'rule',
+  });
+}
+
+export function getAllIdpAutoResponseRules() {
+  return db.getAll({ name: 'idpAutoResponseRule' });
+}
+
+export function setIdpAutoResponseRule(ruleId, rule) {
+  return db.set({
+    name: 'idpAutoResponseRule',
+    keyName: 'ruleId',
+    key: ruleId,
+    valueName: 'rule',
+    value: rule,
+  });
+}
+
+export function removeIdpAutoResponseRule(ruleId) {
+  return db.remove({
+    name: 'idpAutoResponseRule',
+    keyName: 'ruleId',
+    key: ruleId,
+  });
+}
+
 //
 // Used by RP
 //
@@ -398,6 +730,66 @@ export function removeRequestIdByReferenceId(referenceId) {
   });
 }
 
+export function getReferenceIdByRequestId(requestId) {
+  return db.get({
+    name: 'requestIdReferenceIdMapping',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'referenceId',
+  });
+}
+
+export async function getReferenceIdInfo(referenceId) {
+  const { rows } = await db.findRows({
+    name: 'referenceIdInfo',
+    match: {
+      referenceId,
+    },
+    limit: 1,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+export function setReferenceIdInfo(referenceId, paramsHash) {
+  return db.setRow({
+    name: 'referenceIdInfo',
+    row: {
+      referenceId,
+      paramsHash,
+    },
+  });
+}
+
+export function setReferenceIdExpireTime(referenceId, expireTime) {
+  return db.updateRow({
+    name: 'referenceIdInfo',
+    keyName: 'referenceId',
+    key: referenceId,
+    values: {
+      expireTime,
+    },
+  });
+}
+
+export async function getExpiredReferenceIds(unixTime) {
+  const { rows } = await db.findRows({
+    name: 'referenceIdInfo',
+    range: {
+      keyName: 'expireTime',
+      lte: unixTime,
+    },
+  });
+  return rows.map((row) => row.referenceId);
+}
+
+export function removeReferenceIdInfo(referenceId) {
+  return db.remove({
+    name: 'referenceIdInfo',
+    keyName: 'referenceId',
+    key: referenceId,
+  });
+}
+
 export function getOnboardDataByReferenceId(referenceId) {
   return db.get({
     name: 'onboardDataReferenceIdMapping',
@@ -520,10 +912,73 @@ export function removeAllDataFromAS() {
   });
 }
 
+export function getDataChunksFromAS(transferId) {
+  return db.getList({
+    name: 'dataChunkFromAS',
+    keyName: 'transferId',
+    key: transferId,
+    valueName: 'chunk',
+  });
+}
+
+export function countDataChunksFromAS(transferId) {
+  return db.count({
+    name: 'dataChunkFromAS',
+    keyName: 'transferId',
+    key: transferId,
+  });
+}
+
+// Chunk with the same index replaces the saved one
+export function setDataChunkFromAS(transferId, chunkIndex, chunk) {
+  return db.setRow({
+    name: 'dataChunkFromAS',
+    row: {
+      transferId,
+      chunkIndex,
+      chunk,
+    },
+  });
+}
+
+export function removeDataChunksFromAS(transferId) {
+  return db.removeList({
+    name: 'dataChunkFromAS',
+    keyName: 'transferId',
+    key: transferId,
+  });
+}
+
+export function removeAllDataChunksFromAS() {
+  return db.removeAllLists({
+    name: 'dataChunkFromAS',
+  });
+}
+
 export function getAllTimeoutScheduler() {
   return db.getAll({ name: 'timeoutScheduler' });
 }
 
+export function getTimeoutScheduler(requestId) {
+  return db.get({
+    name: 'timeoutScheduler',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'unixTimeout',
+  });
+}
+
+export function updateTimeoutScheduler(requestId, unixTimeout) {
+  return db.updateRow({
+    name: 'timeoutScheduler',
+    keyName: 'requestId',
+    key: requestId,
+    values: {
+      unixTimeout,
+    },
+  });
+}
+
 export function addTimeoutScheduler(requestId, unixTimeout) {
   return db.set({
     name: 'timeoutScheduler',
@@ -568,3 +1023,124 @@ export function removeIdpResponseValidList(requestId) {
     key: requestId,
   });
 }
+
+export function getRequestRecipients(requestId) {
+  return db.getList({
+    name: 'requestRecipient',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'recipient',
+  });
+}
+
+export function addRequestRecipient(requestId, recipient) {
+  return db.pushToList({
+    name: 'requestRecipient',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'recipient',
+    value: recipient,
+  });
+}
+
+export function removeRequestRecipients(requestId) {
+  return db.removeList({
+    name: 'requestRecipient',
+    keyName: 'requestId',
+    key: requestId,
+  });
+}
+
+export function getRequestCancellation(requestId) {
+  return db.get({
+    name: 'requestCancellation',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'cancellation',
+  });
+}
+
+export function setRequestCancellation(requestId, cancellation) {
+  return db.set({
+    name: 'requestCancellation',
+    keyName: 'requestId',
+    key: requestId,
+    valueName: 'cancellation',
+    value: cancellation,
+  });
+}
+
+export function addRequestToIndex(requestIndexEntry) {
+  return db.setRow({
+    name: 'rpRequestIndex',
+    row: requestIndexEntry,
+  });
+}
+
+export function updateRequestStatusInIndex(requestId, status, completed) {
+  return db.updateRow({
+    name: 'rpRequestIndex',
+    keyName: 'requestId',
+    key: requestId,
+    values: {
+      status,
+      // Once completed, a request stays completed after it is closed
+      ...(completed ? { completed: true } : {}),
+      lastUpdatedTime: Date.now(),
+    },
+  });
+}
+
+export function searchRequestIndex({
+  status,
+  namespace,
+  identifier,
+  fromTime,
+  toTime,
+  offset,
+  limit,
+}) {
+  return db.findRows({
+    name: 'rpRequestIndex',
+    match: {
+      ...(status === 'completed' ? { completed: true } : { status }),
+      namespace,
+      identifier,
+    },
+    range: {
+      keyName: 'createdTime',
+      gte: fromTime,
+      lte: toTime,
+    },
+    orderBy: 'createdTime',
+    descending: true,
+    offset,
+    limit,
+  });
+}
+
+//
+// Used by AS
+//
+
+export async function getDataSubmission(requestId, serviceId) {
+  const { rows } = await db.findRows({
+    name: 'asDataSubmission',
+    match: {
+      requestId,
+      serviceId,
+    },
+  });
+  return rows.length > 0 ? rows[0].submission : null;
+}
+
+export function setDataSubmission(requestId, serviceId, submission) {
+  return db.setRow({
+    name: 'asDataSubmission',
+    row: {
+      requestId,
+      serviceId,
+      submission,
+    },
+  });
+}
@@ -59,6 +59,28 @@ const Entities = {
     requestId: { type: Sequelize.STRING, primaryKey: true },
     response: Sequelize.JSON,
   }),
+  idpPendingRequest: sequelize.define('idpPendingRequest', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    request: Sequelize.JSON,
+  }),
+  identityAccessor: sequelize.define('identityAccessor', {
+    accessorId: { type: Sequelize.STRING, primaryKey: true },
+    hashId: Sequelize.STRING,
+    accessor: Sequelize.JSON,
+  }),
+  identityIalHistory: sequelize.define('identityIalHistory', {
+    hashId: Sequelize.STRING,
+    change: Sequelize.JSON,
+  }),
+  accessorEndorsement: sequelize.define('accessorEndorsement', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    hashId: Sequelize.STRING,
+    endorsement: Sequelize.JSON,
+  }),
+  idpAutoResponseRule: sequelize.define('idpAutoResponseRule', {
+    ruleId: { type: Sequelize.STRING, primaryKey: true },
+    rule: Sequelize.JSON,
+  }),
   rpIdFromRequestId: sequelize.define('rpIdFromRequestId', {
     requestId: { type: Sequelize.STRING, primaryKey: true },
     rp_id: Sequelize.STRING,
@@ -76,6 +98,11 @@ const Entities = {
     referenceId: { type: Sequelize.TEXT, primaryKey: true },
     requestId: { type: Sequelize.STRING, unique: true },
   }),
+  referenceIdInfo: sequelize.define('referenceIdInfo', {
+    referenceId: { type: Sequelize.TEXT, primaryKey: true },
+    paramsHash: Sequelize.STRING,
+    expireTime: Sequelize.BIGINT,
+  }),
   onboardDataReferenceIdMapping: sequelize.define('onboardDataReferenceIdMapping', {
     referenceId: { type: Sequelize.TEXT, primaryKey: true },
     onboardData: { type: Sequelize.JSON, },
@@ -92,10 +119,20 @@ const Entities = {
     serviceId: { type: Sequelize.STRING, primaryKey: true },
     url: Sequelize.TEXT,
   }),
+  asDataSubmission: sequelize.define('asDataSubmission', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    serviceId: { type: Sequelize.STRING, primaryKey: true },
+    submission: Sequelize.JSON,
+  }),
   dataFromAS: sequelize.define('dataFromAS', {
     requestId: Sequelize.STRING,
     data: Sequelize.JSON,
   }),
+  dataChunkFromAS: sequelize.define('dataChunkFromAS', {
+    transferId: { type: Sequelize.STRING, primaryKey: true },
+    chunkIndex: { type: Sequelize.INTEGER, primaryKey: true },
+    chunk: Sequelize.JSON,
+  }),
   timeoutScheduler: sequelize.define('timeoutScheduler', {
     requestId: Sequelize.STRING,
     unixTimeout: Sequelize.INTEGER,
@@ -104,6 +141,26 @@ const Entities = {
     cbId: { type: Sequelize.STRING, primaryKey: true },
     data: Sequelize.JSON,
   }),
+  mqOutbox: sequelize.define('mqOutbox', {
+    outboxId: { type: Sequelize.STRING, primaryKey: true },
+    data: Sequelize.JSON,
+  }),
+  mqDeadLetter: sequelize.define('mqDeadLetter', {
+    outboxId: { type: Sequelize.STRING, primaryKey: true },
+    data: Sequelize.JSON,
+  }),
+  receivedMqMessage: sequelize.define('receivedMqMessage', {
+    msgId: { type: Sequelize.STRING, primaryKey: true },
+    sentTime: Sequelize.BIGINT,
+  }),
+  mqRejectedMessage: sequelize.define('mqRejectedMessage', {
+    nodeId: Sequelize.STRING,
+    rejection: Sequelize.JSON,
+  }),
+  mqReceiveError: sequelize.define('mqReceiveError', {
+    nodeId: Sequelize.STRING,
+    error: Sequelize.JSON,
+  }),
   identityRequestIdMapping: sequelize.define('identityRequestIdMapping', {
     requestId: { type: Sequelize.STRING, primaryKey: true },
     identity: Sequelize.JSON,
@@ -112,6 +169,33 @@ const Entities = {
     requestId: Sequelize.STRING,
     validInfo: Sequelize.JSON,
   }),
+  requestRecipient: sequelize.define('requestRecipient', {
+    requestId: Sequelize.STRING,
+    recipient: Sequelize.JSON,
+  }),
+  requestHistory: sequelize.define('requestHistory', {
+    requestId: Sequelize.STRING,
+    event: Sequelize.JSON,
+  }),
+  requestCancellation: sequelize.define('requestCancellation', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    cancellation: Sequelize.JSON,
+  }),
+  pendingRequestCancellation: sequelize.define('pendingRequestCancellation', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    message: Sequelize.JSON,
+  }),
+  rpRequestIndex: sequelize.define('rpRequestIndex', {
+    requestId: { type: Sequelize.STRING, primaryKey: true },
+    referenceId: Sequelize.TEXT,
+    mode: Sequelize.INTEGER,
+    namespace: Sequelize.STRING,
+    identifier: Sequelize.STRING,
+    status: Sequelize.STRING,
+    completed: Sequelize.BOOLEAN,
+    createdTime: Sequelize.BIGINT,
+    lastUpdatedTime: Sequelize.BIGINT,
+  }),
 };
 
 const initDb = sequelize.sync();
@@ -237,6 +321,78 @@ export async function remove({ name, keyName, key }) {
   });
 }
 
+export async function setRow({ name, row }) {
+  await initDb;
+  await Entities[name].upsert(row);
+}
+
+export async function updateRow({ name, keyName, key, values }) {
+  await initDb;
+  await Entities[name].update(values, {
+    where: {
+      [keyName]: key,
+    },
+  });
+}
+
+/**
+ * Find rows matching all given values with optional range condition
+ * @param {Object} args
+ * @param {string} args.name
+ * @param {Object} args.match Column name to value, null values are ignored
+ * @param {Object} args.range
+ * @param {string} args.range.keyName
+ * @param {number} args.range.gte
+ * @param {number} args.range.lte
+ * @param {string} args.orderBy
+ * @param {boolean} args.descending
+ * @param {number} args.offset
+ * @param {number} args.limit
+ * @returns {Promise<Object>} Total count and found rows
+ */
+export async function findRows({
+  name,
+  match = {},
+  range,
+  orderBy,
+  descending,
+  offset,
+  limit,
+}) {
+  await initDb;
+  const where = {};
+  for (let keyName in match) {
+    if (match[keyName] != null) {
+      where[keyName] = match[keyName];
+    }
+  }
+  if (range != null) {
+    const rangeCondition = {};
+    if (range.gte != null) {
+      rangeCondition[Sequelize.Op.gte] = range.gte;
+    }
+    if (range.lte != null) {
+      rangeCondition[Sequelize.Op.lte] = range.lte;
+    }
+    if (Object.getOwnPropertySymbols(rangeCondition).length > 0) {
+      where[range.keyName] = rangeCondition;
+    }
+  }
+  const { count, rows } = await Entities[name].findAndCountAll({
+    attributes: {
+      exclude: ['id', 'createdAt', 'updatedAt'],
+    },
+    where,
+    order: orderBy != null ? [[orderBy, descending ? 'DESC' : 'ASC']] : [],
+    offset,
+    limit,
+  });
+  return {
+    count,
+    rows: rows.map((model) => model.get({ plain: true })),
+  };
+}
+
 export async function getAll({ name }) {
   await initDb;
   const models = await Entities[name].findAll({
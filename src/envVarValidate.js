@@ -80,7 +80,29 @@ if (process.env.MQ_CONTACT_IP == null) {
   );
 }
 
+if (
+  process.env.ACCESSOR_SIGN_PROVIDER != null &&
+  process.env.ACCESSOR_SIGN_PROVIDER !== 'callback' &&
+  process.env.ACCESSOR_SIGN_PROVIDER !== 'local'
+) {
+  console.error(
+    'ERROR:',
+    `Unknown accessor sign provider: ${
+      process.env.ACCESSOR_SIGN_PROVIDER
+    }; Must be one of "callback" or "local". Process will now exit.`
+  );
+  process.exit(1);
+}
+
 if (process.env.NODE_ENV === 'production') {
+  if (process.env.ACCESSOR_SIGN_PROVIDER === 'local') {
+    console.error(
+      'ERROR:',
+      '"local" accessor sign provider is for test environments only. Process will now exit.'
+    );
+    process.exit(1);
+  }
+
   if (process.env.LOG_DIRECTORY_PATH == null) {
     console.warn(
       `"LOG_DIRECTORY_PATH" environment variable is not set. Default to "${__dirname}"`
@@ -125,4 +147,10 @@ if (process.env.NODE_ENV === 'production') {
     );
     process.exit(1);
   }
+
+  if (process.env.UPDATE_IDENTITY_REQUEST_MESSAGE_TEMPLATE_PATH == null) {
+    console.warn(
+      '"UPDATE_IDENTITY_REQUEST_MESSAGE_TEMPLATE_PATH" environment variable is not set. Default to bundled "update_identity.mustache"'
+    );
+  }
 }
@@ -85,6 +85,54 @@ export default {
     code: 10014,
     message: 'Cannot sign with accessor key by callback',
   },
+  MQ_MESSAGE_PARSE_FAILED: {
+    code: 10015,
+    message: 'Cannot parse message from message queue',
+  },
+  MQ_MESSAGE_DECRYPT_FAILED: {
+    code: 10016,
+    message: 'Cannot decrypt message from message queue',
+  },
+  MQ_MESSAGE_FROM_UNKNOWN_NODE: {
+    code: 10017,
+    message: 'Received message from message queue from unknown node',
+  },
+  MQ_MESSAGE_INVALID_SIGNATURE: {
+    code: 10018,
+    message: 'Received message from message queue with invalid signature',
+  },
+  CONFLICTED_IDP_RESPONSE: {
+    code: 10019,
+    message: 'IdP responses are from different accessor groups',
+  },
+  AS_NOT_FOUND: {
+    code: 10020,
+    message: 'Cannot find AS to send request to',
+  },
+  MQ_MESSAGE_NOT_DELIVERED: {
+    code: 10021,
+    message: 'Message queue message has not been acknowledged by receiver',
+  },
+  INVALID_ACCESSOR_SIGNATURE: {
+    code: 10022,
+    message: 'Signature from accessor sign does not match accessor public key',
+  },
+  REQUEST_VERIFICATION_FAILED: {
+    code: 10023,
+    message: 'Request failed verification of IdP consent',
+  },
+  DATA_CHUNK_HASH_MISMATCHED: {
+    code: 10024,
+    message: 'Chunk of data from AS does not match its hash',
+  },
+  CANNOT_CHECK_RESPONSE_IAL: {
+    code: 10025,
+    message: 'Cannot get IAL of identity at block height of IdP response',
+  },
+  DATA_CHUNKS_INVALID: {
+    code: 10026,
+    message: 'Chunks of data from AS do not make up data signed by AS',
+  },
 
   // Client errors
   PATH_PARAMS_VALIDATION_FAILED: {
@@ -204,6 +252,56 @@ export default {
     code: 20023,
     message: 'Some arguments is missing',
   },
+  REQUEST_IS_CLOSED: {
+    code: 20024,
+    message: 'Request is already closed',
+    clientError: true,
+  },
+  REQUEST_IS_TIMED_OUT: {
+    code: 20025,
+    message: 'Request is already timed out',
+    clientError: true,
+  },
+  REFERENCE_ID_CONFLICT: {
+    code: 20026,
+    message: 'Reference ID is already used by a request with different parameters',
+    clientError: true,
+  },
+  MAXIMUM_AAL_EXCEED: {
+    code: 20027,
+    message: 'Specified aal exceeds maximum aal capability',
+    clientError: true,
+  },
+  IDP_ALREADY_RESPONDED: {
+    code: 20028,
+    message: 'This IdP has already responded to the request',
+    clientError: true,
+  },
+  ACCESSOR_NOT_FOUND: {
+    code: 20029,
+    message: 'Cannot find accessor of this identity added by this IdP',
+    clientError: true,
+  },
+  ACCESSOR_REVOKED: {
+    code: 20030,
+    message: 'Accessor has been revoked',
+    clientError: true,
+  },
+  INVALID_SECRET: {
+    code: 20031,
+    message: 'Secret does not match accessor public key and identity',
+    clientError: true,
+  },
+  DATA_ALREADY_SUBMITTED: {
+    code: 20032,
+    message: 'Data for this request and service has already been submitted',
+    clientError: true,
+  },
+  DATA_REQUEST_DECLINED: {
+    code: 20033,
+    message: 'Data request has already been declined',
+    clientError: true,
+  },
 
   // Errors return from ABCI app
   // Server errors
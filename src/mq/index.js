@@ -22,23 +22,86 @@
 
 import EventEmitter from 'events';
 import zmq from 'zeromq';
+import { ExponentialBackoff } from 'simple-backoff';
 
 import logger from '../logger';
 
 import * as config from '../config';
 import * as utils from '../utils';
 import CustomError from '../error/customError';
+import errorType from '../error/type';
 import * as tendermintNdid from '../tendermint/ndid';
+import * as db from '../db';
 
 const receivingSocket = zmq.socket('pull');
 receivingSocket.bindSync('tcp://*:' + config.mqRegister.port);
 
+// Push sockets are kept open and reused per destination address
+// so messages queued in a socket are not dropped by disconnecting
+const sendingSockets = {};
+const retryTimeoutFunctions = {};
+let stopSendRetry = false;
+
+// Message IDs which are being saved as received (for preventing duplicates
+// arriving at the same time from passing the check)
+const processingMsgIds = new Set();
+const removeExpiredReceivedMsgIdsInterval = setInterval(
+  removeExpiredReceivedMsgIds,
+  60000
+);
+
+const receiveErrorCodes = [
+  errorType.MQ_MESSAGE_PARSE_FAILED.code,
+  errorType.MQ_MESSAGE_DECRYPT_FAILED.code,
+  errorType.MQ_MESSAGE_FROM_UNKNOWN_NODE.code,
+  errorType.MQ_MESSAGE_INVALID_SIGNATURE.code,
+];
+
 export const eventEmitter = new EventEmitter();
 
 receivingSocket.on('message', async function(jsonMessageStr) {
-  const jsonMessage = JSON.parse(jsonMessageStr);
+  try {
+    await processReceivedMessage(jsonMessageStr);
+  } catch (error) {
+    await handleReceiveError(error);
+  }
+});
+
+async function processReceivedMessage(jsonMessageStr) {
+  let envelope;
+  try {
+    envelope = JSON.parse(jsonMessageStr);
+  } catch (error) {
+    throw new CustomError({
+      message: errorType.MQ_MESSAGE_PARSE_FAILED.message,
+      code: errorType.MQ_MESSAGE_PARSE_FAILED.code,
+      cause: error,
+    });
+  }
 
-  let decrypted = await utils.decryptAsymetricKey(jsonMessage);
+  if (envelope.type === 'ack') {
+    await handleAck(envelope);
+    return;
+  }
+
+  // Node ID in envelope is not signed, it is only for reporting errors
+  // before the message can be decrypted and verified
+  const claimedNodeId = envelope.node_id;
+
+  let decrypted;
+  try {
+    decrypted = await utils.decryptAsymetricKey(envelope.payload);
+  } catch (error) {
+    throw new CustomError({
+      message: errorType.MQ_MESSAGE_DECRYPT_FAILED.message,
+      code: errorType.MQ_MESSAGE_DECRYPT_FAILED.code,
+      cause: error,
+      details: {
+        node_id: claimedNodeId,
+        msg_id: envelope.msg_id,
+      },
+    });
+  }
   
   logger.debug({
     message: 'Raw decrypted message from message queue',
@@ -46,7 +109,10 @@ receivingSocket.on('message', async function(jsonMessageStr) {
   });
 
   //verify digital signature
-  let [ raw_message, msqSignature ] = decrypted.split('|');
+  //signature is base64 encoded so the last separator is the one before it
+  const separatorIndex = decrypted.lastIndexOf('|');
+  let raw_message = decrypted.substring(0, separatorIndex);
+  let msqSignature = decrypted.substring(separatorIndex + 1);
 
   logger.debug({
     message: 'Split msqSignature',
@@ -54,12 +120,35 @@ receivingSocket.on('message', async function(jsonMessageStr) {
     msqSignature,
   });
 
-  let { idp_id, rp_id, as_id } = JSON.parse(raw_message);
+  let msg_id, sent_time, message;
+  try {
+    ({ msg_id, sent_time, message } = JSON.parse(raw_message));
+  } catch (error) {
+    throw new CustomError({
+      message: errorType.MQ_MESSAGE_PARSE_FAILED.message,
+      code: errorType.MQ_MESSAGE_PARSE_FAILED.code,
+      cause: error,
+      details: {
+        node_id: claimedNodeId,
+        msg_id: envelope.msg_id,
+      },
+    });
+  }
+  let { idp_id, rp_id, as_id } = message || {};
   let nodeId = idp_id || rp_id || as_id ;
-  let { public_key } = await tendermintNdid.getNodePubKey(nodeId);
-  if(!nodeId) throw new CustomError({
-    message: 'Receive message from unknown node',
-  });
+  const publicKeyObj =
+    nodeId != null ? await tendermintNdid.getNodePubKey(nodeId) : null;
+  if (publicKeyObj == null || publicKeyObj.public_key == null) {
+    throw new CustomError({
+      message: errorType.MQ_MESSAGE_FROM_UNKNOWN_NODE.message,
+      code: errorType.MQ_MESSAGE_FROM_UNKNOWN_NODE.code,
+      details: {
+        node_id: nodeId || claimedNodeId,
+        msg_id,
+      },
+    });
+  }
+  let { public_key } = publicKeyObj;
 
   let signatureValid = utils.verifySignature(
     msqSignature,
@@ -76,48 +165,411 @@ receivingSocket.on('message', async function(jsonMessageStr) {
     signatureValid,
   });
 
-  if(signatureValid) {
-    eventEmitter.emit('message', raw_message);
+  if (!signatureValid) {
+    throw new CustomError({
+      message: errorType.MQ_MESSAGE_INVALID_SIGNATURE.message,
+      code: errorType.MQ_MESSAGE_INVALID_SIGNATURE.code,
+      details: {
+        node_id: nodeId,
+        msg_id,
+      },
+    });
+  }
+
+  // Message ID outside of the signed part is only used for ack
+  // and must be the same one as signed by the sender
+  if (envelope.msg_id !== msg_id) {
+    await rejectMessage(nodeId, msg_id, sent_time, 'msg_id mismatch');
+    return;
+  }
+
+  const receivedTime = Date.now();
+  if (Math.abs(receivedTime - sent_time) > config.mqMessageTimeWindow * 1000) {
+    await rejectMessage(nodeId, msg_id, sent_time, 'outside time window');
+    return;
+  }
+
+  const receivedMsgId = nodeId + ':' + msg_id;
+  let duplicate = processingMsgIds.has(receivedMsgId);
+  if (!duplicate) {
+    processingMsgIds.add(receivedMsgId);
+    duplicate = (await db.getReceivedMqMessageSentTime(receivedMsgId)) != null;
+    if (!duplicate) {
+      await db.setReceivedMqMessageSentTime(receivedMsgId, sent_time);
+    }
+    processingMsgIds.delete(receivedMsgId);
+  }
+  if (duplicate) {
+    // Sender may have not received an ack of the first delivery, ack again
+    sendAck(nodeId, msg_id);
+    await rejectMessage(nodeId, msg_id, sent_time, 'duplicate');
+    return;
+  }
+
+  sendAck(nodeId, msg_id);
+  eventEmitter.emit('message', JSON.stringify(message));
+}
+
+/**
+ * Persist and emit errors of messages which cannot be processed
+ * because they are malformed or cannot be verified.
+ * Other errors (e.g. cannot query blockchain) are only logged;
+ * the message is not acknowledged and will be sent again by its sender.
+ * @param {Error} error
+ */
+async function handleReceiveError(error) {
+  if (
+    error.name !== 'CustomError' ||
+    !receiveErrorCodes.includes(error.getCode())
+  ) {
+    logger.error({
+      message: 'Cannot process message from message queue',
+      error,
+    });
+    return;
+  }
+
+  const { node_id, msg_id } = error.details || {};
+  const receiveError = {
+    code: error.getCode(),
+    message: error.message,
+    node_id,
+    msg_id,
+    received_time: Date.now(),
+  };
+
+  logger.warn({
+    message: 'Received invalid message from message queue',
+    ...receiveError,
+    cause: error.cause,
+  });
+
+  try {
+    await db.addMqReceiveError(node_id, receiveError);
+  } catch (error) {
+    logger.error({
+      message: 'Cannot save message queue receive error',
+      error,
+    });
   }
-  else throw new CustomError({
-    message: 'Receive message with unmatched digital signature',
+
+  eventEmitter.emit('receiveError', receiveError);
+}
+
+async function rejectMessage(nodeId, msgId, sentTime, reason) {
+  logger.warn({
+    message: 'Rejected message from message queue',
+    nodeId,
+    msgId,
+    reason,
   });
-});
+  await db.addMqRejectedMessage(nodeId, {
+    msg_id: msgId,
+    sent_time: sentTime,
+    received_time: Date.now(),
+    reason,
+  });
+}
 
-export const send = async (receivers, message) => {
+/**
+ * Remove IDs of received messages which are older than time window.
+ * Those messages will be rejected by sent time check if they are delivered again.
+ */
+async function removeExpiredReceivedMsgIds() {
+  try {
+    await db.removeReceivedMqMessageIdsSentBefore(
+      Date.now() - config.mqMessageTimeWindow * 1000
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Cannot remove expired received message IDs',
+      error,
+    });
+  }
+}
 
-  let msqSignature = await utils.createSignature(message);
-  let realPayload = JSON.stringify(message) + '|' + msqSignature;
+function getSendingSocket(ip, port) {
+  const address = `tcp://${ip}:${port}`;
+  if (sendingSockets[address] == null) {
+    const sendingSocket = zmq.socket('push', { linger: 0 });
+    sendingSocket.connect(address);
+    sendingSockets[address] = sendingSocket;
+  }
+  return sendingSockets[address];
+}
+
+/**
+ * Acknowledge a received message back to its sender.
+ * Ack is signed with this node's key so the sender can tell
+ * it really came from the receiver it sent the message to.
+ * Message ID is shared by all receivers of a message
+ * so the ack also tells which receiver it came from.
+ * @param {string} nodeId sender node ID
+ * @param {string} msgId
+ */
+async function sendAck(nodeId, msgId) {
+  try {
+    const { ip, port } = await tendermintNdid.getMsqAddress(nodeId);
+    const signature = await utils.createSignature({
+      msg_id: msgId,
+      node_id: config.nodeId,
+    });
+    getSendingSocket(ip, port).send(
+      JSON.stringify({
+        type: 'ack',
+        msg_id: msgId,
+        node_id: config.nodeId,
+        signature,
+      })
+    );
+  } catch (error) {
+    // Sender will redeliver the message if it does not get an ack
+    logger.error({
+      message: 'Cannot send ack to message queue sender',
+      nodeId,
+      msgId,
+      error,
+    });
+  }
+}
+
+function getOutboxId(msgId, receiverNodeId) {
+  return msgId + ':' + receiverNodeId;
+}
+
+async function handleAck({ msg_id, node_id, signature }) {
+  const outboxId = getOutboxId(msg_id, node_id);
+  const outboxData = await db.getMqOutboxData(outboxId);
+  // Already acknowledged or moved to dead letter
+  if (outboxData == null) return;
+
+  const signatureValid = utils.verifySignature(
+    signature,
+    outboxData.receiver.public_key,
+    JSON.stringify({ msg_id, node_id })
+  );
+  if (!signatureValid) {
+    logger.warn({
+      message: 'Received message queue ack with invalid signature',
+      msgId: msg_id,
+      nodeId: node_id,
+    });
+    return;
+  }
+
+  clearTimeout(retryTimeoutFunctions[outboxId]);
+  delete retryTimeoutFunctions[outboxId];
+  await db.removeMqOutboxData(outboxId);
+  settleDelivery(outboxData, true);
+
+  logger.debug({
+    message: 'Message queue message acknowledged',
+    msgId: msg_id,
+    nodeId: node_id,
+  });
+}
+
+async function moveToDeadLetter(outboxId, outboxData) {
+  await db.addMqDeadLetterData(outboxId, outboxData);
+  await db.removeMqOutboxData(outboxId);
+  settleDelivery(outboxData, false);
+  logger.error({
+    message:
+      'Message queue message has not been acknowledged after max retries; moved to dead letter',
+    msgId: outboxData.msgId,
+    receiverNodeId: outboxData.receiver.node_id,
+    receiverIp: outboxData.receiver.ip,
+    receiverPort: outboxData.receiver.port,
+    retryCount: outboxData.retryCount,
+  });
+}
+
+/**
+ * Let sender know whether message has been acknowledged by receiver.
+ * Delivery tag is kept with the message in outbox so that
+ * the result is emitted as "delivery" event even after a restart.
+ * @param {Object} outboxData
+ * @param {boolean} delivered
+ */
+function settleDelivery(outboxData, delivered) {
+  if (outboxData.deliveryTag != null) {
+    eventEmitter.emit('delivery', {
+      tag: outboxData.deliveryTag,
+      receiver_node_id: outboxData.receiver.node_id,
+      delivered,
+    });
+  }
+}
+
+/**
+ * Create signed payload of message.
+ * Message ID and sent time are in the signed part
+ * for receiver to reject replayed and duplicate messages.
+ * @param {string} msgId
+ * @param {Object} message
+ * @returns {Promise<string>} JSON string of message and its signature
+ */
+async function createSignedPayload(msgId, message) {
+  const mqMessage = {
+    msg_id: msgId,
+    sent_time: Date.now(),
+    message,
+  };
+
+  let msqSignature = await utils.createSignature(mqMessage);
+  let realPayload = JSON.stringify(mqMessage) + '|' + msqSignature;
 
   logger.debug({
     message: 'Digital signature created',
-    raw_message_object: message,
+    raw_message_object: mqMessage,
     msqSignature,
     realPayload,
   });
 
-  receivers.forEach(async (receiver) => {
-    const sendingSocket = zmq.socket('push');
-    sendingSocket.connect(`tcp://${receiver.ip}:${receiver.port}`);
+  //cannot add signature in object because JSON.stringify may produce different string
+  //for two object that is deep equal, hence, verify signature return false
+  return realPayload;
+}
 
-    //cannot add signature in object because JSON.stringify may produce different string
-    //for two object that is deep equal, hence, verify signature return false
-    let encryptedMessage = utils.encryptAsymetricKey(
-      receiver.public_key,
-      realPayload,
+/**
+ * Send message from outbox and keep resending with backoff
+ * until the receiver acknowledges it or max retry is reached.
+ * Resent message is signed again with new sent time so that it is not rejected
+ * as outside time window after a long outage of the receiver or this node.
+ * @param {string} outboxId
+ * @param {Object} outboxData
+ * @param {string} [signedPayload] Payload for the first send, signed once for all receivers
+ */
+function sendWithRetry(outboxId, outboxData, signedPayload) {
+  const backoff = new ExponentialBackoff({
+    min: 5000,
+    max: 60000,
+    factor: 2,
+    jitter: 0.2,
+  });
+
+  const sendFromOutbox = async () => {
+    delete retryTimeoutFunctions[outboxId];
+    if (stopSendRetry) return;
+
+    // Ack may have arrived while waiting
+    const savedOutboxData = await db.getMqOutboxData(outboxId);
+    if (savedOutboxData == null) return;
+    outboxData = savedOutboxData;
+
+    if (outboxData.retryCount >= config.mqSendMaxRetry) {
+      await moveToDeadLetter(outboxId, outboxData);
+      return;
+    }
+
+    const { msgId, receiver, message } = outboxData;
+    try {
+      const realPayload =
+        signedPayload != null
+          ? signedPayload
+          : await createSignedPayload(msgId, message);
+      signedPayload = null;
+      getSendingSocket(receiver.ip, receiver.port).send(
+        JSON.stringify({
+          type: 'message',
+          msg_id: msgId,
+          node_id: config.nodeId,
+          payload: utils.encryptAsymetricKey(receiver.public_key, realPayload),
+        })
+      );
+    } catch (error) {
+      // Counted as a send attempt and tried again later
+      logger.error({
+        message: 'Cannot send message queue message',
+        msgId,
+        receiverNodeId: receiver.node_id,
+        error,
+      });
+    }
+
+    const nextRetry = backoff.next();
+    if (outboxData.retryCount > 0) {
+      logger.info({
+        message: `Resent message queue message, retrying again in ${nextRetry} milliseconds if not acknowledged`,
+        msgId,
+        receiverNodeId: receiver.node_id,
+        retryCount: outboxData.retryCount,
+      });
+    }
+
+    outboxData.retryCount++;
+    // Ack may have arrived while sending
+    await db.updateMqOutboxData(outboxId, outboxData);
+
+    retryTimeoutFunctions[outboxId] = setTimeout(
+      () => sendFromOutbox().catch((error) => logSendError(outboxId, error)),
+      nextRetry
     );
-    sendingSocket.send(JSON.stringify(encryptedMessage));
+  };
+
+  return sendFromOutbox();
+}
 
-    // TO BE REVISED
-    // When should we disconnect the socket?
-    // If the socket is disconnected, all the messages in queue will be lost.
-    // Hence, the receiver may not get the messages.
-    sendingSocket.disconnect(`tcp://${receiver.ip}:${receiver.port}`);
+function logSendError(outboxId, error) {
+  logger.error({
+    message: 'Cannot send message queue message from outbox',
+    outboxId,
+    error,
   });
+}
+
+/**
+ * Send message to receivers through message queue.
+ * Message is signed once for all receivers.
+ * @param {Array.<Object>} receivers Each with node_id, ip, port and public_key
+ * @param {Object} message
+ * @param {Object} [options]
+ * @param {Object} [options.deliveryTag] Data to identify message in "delivery" event
+ *   emitted when each receiver acknowledges the message or max retry is reached
+ */
+export const send = async (receivers, message, { deliveryTag } = {}) => {
+  const msgId = utils.randomBase64Bytes(16);
+  const signedPayload = await createSignedPayload(msgId, message);
+  await Promise.all(
+    receivers.map(async (receiver) => {
+      const outboxId = getOutboxId(msgId, receiver.node_id);
+      // Persist before sending so the message survives a restart
+      const outboxData = {
+        msgId,
+        receiver,
+        message,
+        deliveryTag,
+        retryCount: 0,
+      };
+      await db.setMqOutboxData(outboxId, outboxData);
+      await sendWithRetry(outboxId, outboxData, signedPayload);
+    })
+  );
 };
 
+/**
+ * Resume sending all messages in outbox which have not been acknowledged
+ * This function should be called only when server starts
+ */
+export async function resumeSendingMessages() {
+  const outbox = await db.getAllMqOutboxData();
+  outbox.forEach(({ outboxId, data }) =>
+    sendWithRetry(outboxId, data).catch((error) =>
+      logSendError(outboxId, error)
+    )
+  );
+}
+
 export function close() {
+  stopSendRetry = true;
+  clearInterval(removeExpiredReceivedMsgIdsInterval);
+  for (let msgId in retryTimeoutFunctions) {
+    clearTimeout(retryTimeoutFunctions[msgId]);
+  }
   receivingSocket.close();
+  for (let address in sendingSockets) {
+    sendingSockets[address].close();
+  }
   logger.info({
     message: 'Message queue socket closed',
   });
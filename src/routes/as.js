@@ -21,12 +21,30 @@
  */
 
 import express from 'express';
+import bodyParser from 'body-parser';
 
 import { validateBody } from './middleware/validation';
 import * as as from '../core/as';
+import * as common from '../core/common';
+import * as config from '../config';
 
 const router = express.Router();
 
+// Binary data (e.g. documents) can be submitted as raw request body
+// with its content type instead of JSON
+const rawDataParser = bodyParser.raw({
+  type: (req) => !req.is('application/json'),
+  limit: config.asDataMaxSize,
+});
+
+function validateDataBody(req, res, next) {
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    next();
+    return;
+  }
+  validateBody(req, res, next);
+}
+
 router.post('/service/:service_id', validateBody, async (req, res, next) => {
   try {
     const { service_id } = req.params;
@@ -61,17 +79,85 @@ router.get('/service/:service_id', async (req, res, next) => {
   }
 });
 
-router.post('/data/:request_id/:service_id', validateBody, async (req, res, next) => {
+router.get('/requests/:request_id/history', async (req, res, next) => {
+  try {
+    const { request_id } = req.params;
+
+    const history = await common.getRequestHistory(request_id);
+    if (history != null) {
+      res.status(200).json(history);
+    } else {
+      res.status(404).end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  '/data/:request_id/:service_id',
+  rawDataParser,
+  validateDataBody,
+  async (req, res, next) => {
+    try {
+      const { request_id, service_id } = req.params;
+      let data, content_type;
+      if (Buffer.isBuffer(req.body)) {
+        data = req.body.toString('base64');
+        content_type = req.get('Content-Type') || 'application/octet-stream';
+      } else {
+        ({ data, content_type } = req.body);
+      }
+
+      await as.processDataForRP(data, {
+        requestId: request_id,
+        serviceId: service_id,
+        contentType: content_type,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/data/:request_id/:service_id/decline',
+  validateBody,
+  async (req, res, next) => {
+    try {
+      const { request_id, service_id } = req.params;
+      const { reason_code, reason } = req.body;
+
+      await as.declineDataRequest({
+        request_id,
+        service_id,
+        reason_code,
+        reason,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/data/:request_id/:service_id', async (req, res, next) => {
   try {
     const { request_id, service_id } = req.params;
-    const { data } = req.body;
 
-    as.processDataForRP(data, {
-      requestId: request_id,
-      serviceId: service_id,
+    const submission = await as.getDataSubmission({
+      request_id,
+      service_id,
     });
 
-    res.status(204).end();
+    if (submission == null) {
+      res.status(404).end();
+    } else {
+      res.status(200).json(submission);
+    }
   } catch (error) {
     next(error);
   }
@@ -93,9 +179,10 @@ router.get('/callback', async (req, res, next) => {
 
 router.post('/callback', validateBody, async (req, res, next) => {
   try {
-    const { error_url } = req.body;
+    const { data_result_url, error_url } = req.body;
 
     as.setCallbackUrls({
+      data_result_url,
       error_url,
     });
 
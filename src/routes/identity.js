@@ -91,6 +91,40 @@ router.post(
   }
 );
 
+router.get('/:namespace/:identifier/accessors', async (req, res, next) => {
+  try {
+    const { namespace, identifier } = req.params;
+
+    const accessors = await identity.getAccessors({
+      namespace,
+      identifier,
+    });
+
+    res.status(200).json(accessors);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete(
+  '/:namespace/:identifier/accessors/:accessor_id',
+  async (req, res, next) => {
+    try {
+      const { namespace, identifier, accessor_id } = req.params;
+
+      await identity.revokeAccessor({
+        namespace,
+        identifier,
+        accessor_id,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.get('/:namespace/:identifier', async (req, res, next) => {
   try {
     const { namespace, identifier } = req.params;
@@ -112,14 +146,47 @@ router.get('/:namespace/:identifier', async (req, res, next) => {
   }
 });
 
+router.delete('/:namespace/:identifier', async (req, res, next) => {
+  try {
+    const { namespace, identifier } = req.params;
+
+    await identity.removeIdentity({
+      namespace,
+      identifier,
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:namespace/:identifier/ial', async (req, res, next) => {
+  try {
+    const { namespace, identifier } = req.params;
+
+    const result = await identity.getIal({
+      namespace,
+      identifier,
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post('/:namespace/:identifier/ial', validateBody, async (req, res, next) => {
   try {
     const { namespace, identifier } = req.params;
-    const { ial } = req.body;
+    const { ial, reason, evidence_reference, operator } = req.body;
     await identity.updateIal({
       namespace,
       identifier,
       ial,
+      reason,
+      evidence_reference,
+      operator,
     });
     res.status(204).end();
   } catch (error) {
@@ -130,11 +197,17 @@ router.post('/:namespace/:identifier/ial', validateBody, async (req, res, next)
 router.post('/:namespace/:identifier', validateBody, async (req, res, next) => {
   try {
     const { namespace, identifier } = req.params;
+    const { reference_id, new_namespace, new_identifier } = req.body;
 
-    // Not Implemented
-    // TODO
+    const result = await identity.updateIdentity({
+      namespace,
+      identifier,
+      reference_id,
+      new_namespace,
+      new_identifier,
+    });
 
-    res.status(501).end();
+    res.status(200).json(result);
   } catch (error) {
     next(error);
   }
@@ -144,10 +217,12 @@ router.get('/:namespace/:identifier/endorsement', async (req, res, next) => {
   try {
     const { namespace, identifier } = req.params;
 
-    // Not Implemented
-    // TODO
+    const endorsements = await identity.getEndorsements({
+      namespace,
+      identifier,
+    });
 
-    res.status(501).end();
+    res.status(200).json(endorsements);
   } catch (error) {
     next(error);
   }
@@ -159,12 +234,25 @@ router.post(
   async (req, res, next) => {
     try {
       const { namespace, identifier } = req.params;
-      const { secret, accessor_type, accessor_key, accessor_id } = req.body;
+      const {
+        reference_id,
+        secret,
+        accessor_type,
+        accessor_key,
+        accessor_id,
+      } = req.body;
 
-      // Not Implemented
-      // TODO
+      const result = await identity.endorseAccessor({
+        namespace,
+        identifier,
+        reference_id,
+        secret,
+        accessor_type,
+        accessor_key,
+        accessor_id,
+      });
 
-      res.status(501).end();
+      res.status(200).json(result);
     } catch (error) {
       next(error);
     }
@@ -24,6 +24,8 @@ import express from 'express';
 
 import { validateBody } from './middleware/validation';
 import * as idp from '../core/idp';
+import * as idpRule from '../core/idpRule';
+import * as common from '../core/common';
 
 const router = express.Router();
 
@@ -47,6 +49,7 @@ router.post('/callback', validateBody, async (req, res, next) => {
       incoming_request_url,
       identity_result_url,
       accessor_sign_url,
+      response_result_url,
       error_url,
     } = req.body;
 
@@ -54,6 +57,7 @@ router.post('/callback', validateBody, async (req, res, next) => {
       incoming_request_url,
       identity_result_url,
       accessor_sign_url,
+      response_result_url,
       error_url,
     });
 
@@ -63,6 +67,101 @@ router.post('/callback', validateBody, async (req, res, next) => {
   }
 });
 
+router.get('/requests', async (req, res, next) => {
+  try {
+    const pendingRequests = await idp.getPendingRequests();
+    res.status(200).json(pendingRequests);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/requests/:request_id', async (req, res, next) => {
+  try {
+    const { request_id } = req.params;
+
+    const pendingRequest = await idp.getPendingRequest(request_id);
+    if (pendingRequest != null) {
+      res.status(200).json(pendingRequest);
+    } else {
+      res.status(404).end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/requests/:request_id/history', async (req, res, next) => {
+  try {
+    const { request_id } = req.params;
+
+    const history = await common.getRequestHistory(request_id);
+    if (history != null) {
+      res.status(200).json(history);
+    } else {
+      res.status(404).end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await idpRule.getRules();
+    res.status(200).json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/rules/:rule_id', async (req, res, next) => {
+  try {
+    const { rule_id } = req.params;
+
+    const rule = await idpRule.getRule(rule_id);
+    if (rule != null) {
+      res.status(200).json(rule);
+    } else {
+      res.status(404).end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/rules/:rule_id', validateBody, async (req, res, next) => {
+  try {
+    const { rule_id } = req.params;
+    const { priority, match, action, ial, aal } = req.body;
+
+    await idpRule.upsertRule({
+      rule_id,
+      priority,
+      match,
+      action,
+      ial,
+      aal,
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/rules/:rule_id', async (req, res, next) => {
+  try {
+    const { rule_id } = req.params;
+
+    await idpRule.removeRule(rule_id);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post('/response', validateBody, async (req, res, next) => {
   try {
     const {
@@ -22,7 +22,9 @@
 
 import express from 'express';
 
-import { validateBody } from './middleware/validation';
+import { validateQuery, validateBody } from './middleware/validation';
+import validate from './validator';
+import errorType from '../error/type';
 import * as rp from '../core/rp';
 import * as common from '../core/common';
 
@@ -69,6 +71,80 @@ router.post(
   }
 );
 
+router.post('/requests/bulk', validateBody, async (req, res, next) => {
+  try {
+    const { requests } = req.body;
+
+    const results = [];
+    const validRequests = [];
+    const validRequestIndexes = [];
+    requests.forEach(({ namespace, identifier, ...body }, index) => {
+      const path = '/rp/requests/:namespace/:identifier';
+      const paramsValidationResult = validate({
+        method: 'POST',
+        path,
+        params: { namespace, identifier },
+      });
+      const bodyValidationResult = validate({ method: 'POST', path, body });
+      if (!paramsValidationResult.valid || !bodyValidationResult.valid) {
+        results[index] = {
+          reference_id: body.reference_id,
+          error: {
+            message: errorType.BODY_VALIDATION_FAILED.message,
+            code: errorType.BODY_VALIDATION_FAILED.code,
+            details: !paramsValidationResult.valid
+              ? paramsValidationResult
+              : bodyValidationResult,
+          },
+        };
+        return;
+      }
+      validRequests.push({ namespace, identifier, ...body });
+      validRequestIndexes.push(index);
+    });
+
+    const createResults = await rp.createRequests(validRequests);
+    createResults.forEach((result, i) => {
+      results[validRequestIndexes[i]] = {
+        reference_id: validRequests[i].reference_id,
+        ...result,
+      };
+    });
+
+    res.status(200).json(results);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/requests', validateQuery, async (req, res, next) => {
+  try {
+    const {
+      status,
+      namespace,
+      identifier,
+      from_time,
+      to_time,
+      offset = '0',
+      limit = '20',
+    } = req.query;
+
+    const requestList = await rp.getRequestList({
+      status,
+      namespace,
+      identifier,
+      from_time: from_time != null ? parseInt(from_time) : undefined,
+      to_time: to_time != null ? parseInt(to_time) : undefined,
+      offset: parseInt(offset),
+      limit: parseInt(limit),
+    });
+
+    res.status(200).json(requestList);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.get('/requests/reference/:reference_number', async (req, res, next) => {
   try {
     const { reference_number } = req.params;
@@ -84,10 +160,42 @@ router.get('/requests/reference/:reference_number', async (req, res, next) => {
   }
 });
 
-router.get('/requests/data/:request_id', async (req, res, next) => {
+router.get('/requests/:request_id/history', async (req, res, next) => {
   try {
     const { request_id } = req.params;
 
+    const history = await common.getRequestHistory(request_id);
+    if (history != null) {
+      res.status(200).json(history);
+    } else {
+      res.status(404).end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/requests/data/:request_id', validateQuery, async (req, res, next) => {
+  try {
+    const { request_id } = req.params;
+    const { service_id, as_id } = req.query;
+
+    // Data of a service is sent as binary with its content type
+    if (service_id != null) {
+      const result = await rp.getBinaryDataFromAS({
+        request_id,
+        service_id,
+        as_id,
+      });
+      if (result != null) {
+        res.status(200).type(result.content_type);
+        result.stream.pipe(res);
+      } else {
+        res.status(404).end();
+      }
+      return;
+    }
+
     const data = await rp.getDataFromAS(request_id);
     if (data != null) {
       res.status(200).json(data);
@@ -133,6 +241,31 @@ router.post('/requests/close', validateBody, async (req, res, next) => {
   }
 });
 
+router.post('/requests/cancel', validateBody, async (req, res, next) => {
+  try {
+    const { request_id, reason_code, reason } = req.body;
+
+    await rp.cancelRequest({ request_id, reason_code, reason });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/requests/extend_timeout', validateBody, async (req, res, next) => {
+  try {
+    const { request_id, extend_timeout_by } = req.body;
+
+    const result = await rp.extendRequestTimeout({
+      request_id,
+      extend_timeout_by,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.get('/callback', async (req, res, next) => {
   try {
     const urls = rp.getCallbackUrls();
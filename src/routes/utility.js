@@ -24,6 +24,7 @@ import express from 'express';
 
 import { validateQuery } from './middleware/validation';
 import * as tendermintNdid from '../tendermint/ndid';
+import * as common from '../core/common';
 
 const router = express.Router();
 
@@ -126,4 +127,16 @@ router.get('/services', async (req, res, next) => {
   }
 });
 
+router.get('/mq/errors', validateQuery, async (req, res, next) => {
+  try {
+    const { node_id } = req.query;
+
+    const receiveErrors = await common.getMqReceiveErrors(node_id);
+
+    res.status(200).json(receiveErrors);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -65,6 +65,51 @@ export default {
         },
       },
     },
+    '/rp/requests': {
+      query: {
+        properties: {
+          status: {
+            type: 'string',
+            enum: [
+              'pending',
+              'confirmed',
+              'rejected',
+              'complicated',
+              'completed',
+              'closed',
+              'timed_out',
+            ],
+          },
+          namespace: { type: 'string', minLength: 1 },
+          identifier: { type: 'string', minLength: 1 },
+          from_time: { type: 'string', pattern: '^[0-9]+$' },
+          to_time: { type: 'string', pattern: '^[0-9]+$' },
+          offset: { type: 'string', pattern: '^[0-9]+$' },
+          limit: { type: 'string', pattern: '^([1-9][0-9]?|100)$' },
+        },
+        dependencies: {
+          identifier: ['namespace'],
+        },
+      },
+    },
+    '/rp/requests/data/:request_id': {
+      query: {
+        properties: {
+          service_id: { type: 'string', minLength: 1 },
+          as_id: { type: 'string', minLength: 1 },
+        },
+        dependencies: {
+          as_id: ['service_id'],
+        },
+      },
+    },
+    '/utility/mq/errors': {
+      query: {
+        properties: {
+          node_id: { type: 'string', minLength: 1 },
+        },
+      },
+    },
   },
   POST: {
     '/rp/requests/:namespace/:identifier': {
@@ -134,6 +179,26 @@ export default {
         ],
       },
     },
+    '/rp/requests/bulk': {
+      body: {
+        properties: {
+          requests: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            items: {
+              type: 'object',
+              properties: {
+                namespace: { type: 'string' },
+                identifier: { type: 'string' },
+              },
+              required: ['namespace', 'identifier'],
+            },
+          },
+        },
+        required: ['requests'],
+      },
+    },
     '/rp/requests/close': {
       body: {
         properties: {
@@ -142,6 +207,25 @@ export default {
         required: ['request_id'],
       },
     },
+    '/rp/requests/cancel': {
+      body: {
+        properties: {
+          request_id: { type: 'string', minLength: 1 },
+          reason_code: { type: 'string', minLength: 1 },
+          reason: { type: 'string' },
+        },
+        required: ['request_id', 'reason_code'],
+      },
+    },
+    '/rp/requests/extend_timeout': {
+      body: {
+        properties: {
+          request_id: { type: 'string', minLength: 1 },
+          extend_timeout_by: { type: 'integer', minimum: 1 },
+        },
+        required: ['request_id', 'extend_timeout_by'],
+      },
+    },
     '/identity/requests/close': {
       body: {
         properties: {
@@ -171,6 +255,9 @@ export default {
           accessor_sign_url: {
             $ref: 'defs#/definitions/url',
           },
+          response_result_url: {
+            $ref: 'defs#/definitions/url',
+          },
           error_url: {
             $ref: 'defs#/definitions/url',
           },
@@ -202,6 +289,49 @@ export default {
         ],
       },
     },
+    '/idp/rules/:rule_id': {
+      body: {
+        properties: {
+          priority: { type: 'integer' },
+          match: {
+            type: 'object',
+            properties: {
+              rp_id_list: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+              },
+              namespace_list: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+              },
+              max_min_ial: { $ref: 'defs#/definitions/ial' },
+              service_id_list: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+              },
+              // Rule applies to requests for consent to adding accessor,
+              // endorsement and identity update only when set to true
+              identity_change: { type: 'boolean' },
+            },
+          },
+          action: { type: 'string', enum: ['accept', 'reject', 'forward'] },
+          // IAL of mode 1 response, mode 3 response uses IAL of the identity
+          ial: { $ref: 'defs#/definitions/ial' },
+          aal: { $ref: 'defs#/definitions/aal' },
+        },
+        required: ['action'],
+        anyOf: [
+          {
+            properties: {
+              action: { enum: ['forward'] },
+            },
+          },
+          {
+            required: ['aal'],
+          },
+        ],
+      },
+    },
     '/as/service/:service_id': {
       body: {
         properties: {
@@ -218,13 +348,27 @@ export default {
       body: {
         properties: {
           data: { type: 'string', minLength: 1 },
+          // Data must be base64 encoded when content type is set
+          content_type: { type: 'string', minLength: 1 },
         },
         required: ['data'],
       },
     },
+    '/as/data/:request_id/:service_id/decline': {
+      body: {
+        properties: {
+          reason_code: { type: 'string', minLength: 1 },
+          reason: { type: 'string' },
+        },
+        required: ['reason_code'],
+      },
+    },
     '/as/callback': {
       body: {
         properties: {
+          data_result_url: {
+            $ref: 'defs#/definitions/url',
+          },
           error_url: {
             $ref: 'defs#/definitions/url',
           },
@@ -327,23 +471,23 @@ export default {
     },
     '/identity/:namespace/:identifier': {
       body: {
-        type: 'array',
-        items: {
-          type: 'object',
-          properties: {
-            namespace: { type: 'string', minLength: 1 },
-            identifier: { type: 'string', minLength: 1 },
-          },
-          required: ['namespace', 'identifier'],
+        properties: {
+          reference_id: { type: 'string', minLength: 1 },
+          new_namespace: { type: 'string', minLength: 1 },
+          new_identifier: { type: 'string', minLength: 1 },
         },
+        required: ['reference_id', 'new_namespace', 'new_identifier'],
       },
     },
     '/identity/:namespace/:identifier/ial': {
       body: {
         properties: {
           ial: { $ref: 'defs#/definitions/ial' },
+          reason: { type: 'string', minLength: 1 },
+          evidence_reference: { type: 'string', minLength: 1 },
+          operator: { type: 'string', minLength: 1 },
         },
-        required: ['ial'],
+        required: ['ial', 'reason', 'operator'],
       },
     },
     '/identity/:namespace/:identifier/accessors': {
@@ -360,8 +504,13 @@ export default {
     '/identity/:namespace/:identifier/endorsement': {
       body: {
         properties: {
-          // TODO: After v1.0
+          reference_id: { type: 'string', minLength: 1 },
+          secret: { type: 'string', minLength: 1 },
+          accessor_type: { type: 'string', minLength: 1 },
+          accessor_key: { type: 'string', minLength: 1 },
+          accessor_id: { type: 'string', minLength: 1 },
         },
+        required: ['reference_id', 'secret', 'accessor_type', 'accessor_key'],
       },
     },
   },
@@ -32,11 +32,14 @@ async function httpUriCall(method, params) {
     if (param.key == null || param.value == null) {
       return paramsString;
     }
-    const uriEncodedParamValue = encodeURIComponent(param.value);
+    // Integer parameters are not quoted
+    const uriEncodedParamValue = param.integer
+      ? encodeURIComponent(param.value)
+      : `"${encodeURIComponent(param.value)}"`;
     if (paramsString !== '') {
-      return paramsString + `&${param.key}="${uriEncodedParamValue}"`;
+      return paramsString + `&${param.key}=${uriEncodedParamValue}`;
     }
-    return paramsString + `${param.key}="${uriEncodedParamValue}"`;
+    return paramsString + `${param.key}=${uriEncodedParamValue}`;
   }, '');
 
   let uri = `http://${tendermintAddress}/${method}`;
@@ -65,12 +68,27 @@ async function httpUriCall(method, params) {
   }
 }
 
-export function abciQuery(data) {
+export function abciQuery(data, height) {
+  // Block height from block header may be a string
+  const heightInt = height != null ? parseInt(height, 10) : null;
+  if (height != null && !(heightInt > 0)) {
+    throw new CustomError({
+      message: 'Invalid block height to query',
+      details: {
+        height,
+      },
+    });
+  }
   return httpUriCall('abci_query', [
     {
       key: 'data',
       value: data,
     },
+    {
+      key: 'height',
+      value: heightInt,
+      integer: true,
+    },
   ]);
 }
 
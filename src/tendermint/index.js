@@ -256,11 +256,18 @@ function getTransactResult(result) {
   };
 }
 
-export async function query(fnName, data) {
+/**
+ * Query ABCI app
+ * @param {string} fnName
+ * @param {Object} data
+ * @param {number} height Block height to query state at (latest if not given)
+ */
+export async function query(fnName, data, height) {
   logger.debug({
     message: 'Tendermint query',
     fnName,
     data,
+    height,
   });
 
   const queryData = fnName + '|' + JSON.stringify(data);
@@ -268,7 +275,10 @@ export async function query(fnName, data) {
   const dataBase64Encoded = Buffer.from(queryData).toString('base64');
 
   try {
-    const result = await tendermintHttpClient.abciQuery(dataBase64Encoded);
+    const result = await tendermintHttpClient.abciQuery(
+      dataBase64Encoded,
+      height
+    );
     return getQueryResult(result);
   } catch (error) {
     if (error.type === 'JSON-RPC ERROR') {
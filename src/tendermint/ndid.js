@@ -137,6 +137,24 @@ export async function registerMqDestination({ users }) {
   }
 }
 
+export async function unregisterMqDestination({ users }) {
+  try {
+    return await tendermint.transact(
+      'UnregisterMsqDestination',
+      {
+        users,
+        node_id: nodeId,
+      },
+      utils.getNonce()
+    );
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot unregister message queue destination from blockchain',
+      cause: error,
+    });
+  }
+}
+
 export async function addAccessorMethod({
   request_id,
   accessor_group_id,
@@ -164,6 +182,23 @@ export async function addAccessorMethod({
   }
 }
 
+export async function revokeAccessorMethod({ accessor_id }) {
+  try {
+    return await tendermint.transact(
+      'RevokeAccessorMethod',
+      {
+        accessor_id,
+      },
+      utils.getNonce()
+    );
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot revoke accessor method to blockchain',
+      cause: error,
+    });
+  }
+}
+
 export async function createRequest(requestDataToBlockchain) {
   try {
     return await tendermint.transact(
@@ -196,6 +231,23 @@ export async function closeRequest({ requestId, responseValidList }) {
   }
 }
 
+export async function extendRequestTimeout({ requestId, request_timeout }) {
+  try {
+    const result = await tendermint.transact(
+      'ExtendRequestTimeout',
+      { requestId, request_timeout },
+      utils.getNonce()
+    );
+    return result;
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot extend request timeout on blockchain',
+      cause: error,
+      requestId,
+    });
+  }
+}
+
 export async function timeoutRequest({ requestId, responseValidList }) {
   try {
     const request = await getRequest({ requestId });
@@ -239,7 +291,7 @@ export async function setDataReceived({ requestId, service_id, as_id }) {
 
 export async function updateIal({ hash_id, ial }) {
   try {
-    await tendermint.transact(
+    return await tendermint.transact(
       'UpdateIdentity',
       {
         hash_id,
@@ -308,6 +360,25 @@ export async function signASData(data) {
   }
 }
 
+export async function declineASData(data) {
+  const nonce = utils.getNonce();
+  const dataToBlockchain = {
+    request_id: data.request_id,
+    service_id: data.service_id,
+    reason_code: data.reason_code,
+    reason: data.reason,
+    signature: data.signature,
+  };
+  try {
+    return await tendermint.transact('DeclineData', dataToBlockchain, nonce);
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot decline AS data request',
+      cause: error,
+    });
+  }
+}
+
 export async function registerServiceDestination(data) {
   try {
     let nonce = utils.getNonce();
@@ -480,6 +551,31 @@ export async function getAccessorKey(accessor_id) {
   }
 }
 
+/**
+ * Whether accessor is on blockchain and has not been revoked.
+ * Revoked accessor is returned by GetAccessorKey with active set to false.
+ * Accessor without active field (returned by ABCI app version
+ * without accessor revocation) is considered active.
+ * @param {string} accessor_id
+ * @returns {Promise<boolean>}
+ */
+export async function isAccessorActive(accessor_id) {
+  try {
+    const accessorPubKeyObj = await tendermint.query('GetAccessorKey', {
+      accessor_id,
+    });
+    if (accessorPubKeyObj == null) {
+      return false;
+    }
+    return accessorPubKeyObj.active !== false;
+  } catch (error) {
+    throw new CustomError({
+      message: 'Cannot get accessor status from blockchain',
+      cause: error,
+    });
+  }
+}
+
 export async function checkExistingIdentity(hash_id) {
   try {
     const { exist } = await tendermint.query('CheckExistingIdentity', {
@@ -494,15 +590,19 @@ export async function checkExistingIdentity(hash_id) {
   }
 }
 
-export async function getIdentityInfo(namespace, identifier, node_id) {
+export async function getIdentityInfo(namespace, identifier, node_id, height) {
   try {
     const sid = namespace + ':' + identifier;
     const hash_id = utils.hash(sid);
 
-    return await tendermint.query('GetIdentityInfo', {
-      hash_id,
-      node_id,
-    });
+    return await tendermint.query(
+      'GetIdentityInfo',
+      {
+        hash_id,
+        node_id,
+      },
+      height
+    );
   } catch (error) {
     throw new CustomError({
       message: 'Cannot get identity info from blockchain',
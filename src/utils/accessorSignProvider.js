@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ *
+ * This file is part of NDID software.
+ *
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ *
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ *
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ *
+ * Please contact info@ndid.co.th for any further questions
+ *
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import fetch from 'node-fetch';
+import { ExponentialBackoff } from 'simple-backoff';
+
+import {
+  createSignature,
+  privateEncrypt,
+  verifyHashSignature,
+} from './crypto';
+import { wait } from '../utils';
+import CustomError from '../error/customError';
+import errorType from '../error/type';
+import logger from '../logger';
+
+import * as config from '../config';
+
+/**
+ * Sign by POSTing to client application's accessor sign callback URL.
+ * Each attempt is aborted after configured timeout and
+ * failed attempts are retried with backoff.
+ * @param {Object} data
+ * @param {string} data.url
+ * @param {Object} data.callbackBody
+ * @returns {Promise<string>} signature in base64
+ */
+async function signByCallback({ url, callbackBody }) {
+  if (url == null) {
+    throw new CustomError({
+      message: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.message,
+      code: errorType.SIGN_WITH_ACCESSOR_KEY_URL_NOT_SET.code,
+    });
+  }
+
+  const backoff = new ExponentialBackoff({
+    min: 1000,
+    max: 10000,
+    factor: 2,
+    jitter: 0.2,
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        body: JSON.stringify(callbackBody),
+        timeout: config.accessorSignCallbackTimeout,
+      });
+      if (!response.ok) {
+        throw new CustomError({
+          message: `Accessor sign callback responded with HTTP status ${
+            response.status
+          }`,
+        });
+      }
+      const { signature } = await response.json();
+      return signature;
+    } catch (error) {
+      if (attempt >= config.accessorSignCallbackMaxRetry) {
+        throw error;
+      }
+      const nextRetry = backoff.next();
+      logger.warn({
+        message: `Cannot sign with accessor key by callback. Retrying in ${nextRetry} milliseconds`,
+        url,
+        accessor_id: callbackBody.accessor_id,
+        error,
+      });
+      await wait(nextRetry);
+    }
+  }
+}
+
+/**
+ * Sign with accessor private key read from local key directory.
+ * Key file name is URI encoded accessor ID.
+ * For test environments only.
+ * @param {Object} data
+ * @param {string} data.accessor_id
+ * @param {string} data.hashToSign hash in base64 to sign as is
+ * @param {string} data.messageToSign message to sign with RSA-SHA256 (instead of hashToSign)
+ * @returns {Promise<string>} signature in base64
+ */
+async function signWithLocalKey({ accessor_id, hashToSign, messageToSign }) {
+  const keyPath = path.join(
+    config.accessorKeyDirectoryPath,
+    encodeURIComponent(accessor_id)
+  );
+  const privateKey = fs.readFileSync(keyPath, 'utf8');
+  if (messageToSign != null) {
+    return createSignature(messageToSign, privateKey);
+  }
+  return privateEncrypt(privateKey, Buffer.from(hashToSign, 'base64'));
+}
+
+const providers = {
+  callback: signByCallback,
+  local: signWithLocalKey,
+};
+
+export function isAvailable(callbackUrl) {
+  if (config.accessorSignProvider === 'callback') {
+    return callbackUrl != null;
+  }
+  return true;
+}
+
+/**
+ * Check that signature is hash signed (RSA PKCS#1 v1.5)
+ * with private key of given accessor public key
+ * @param {string} signature signature in base64
+ * @param {string} publicKey accessor public key
+ * @param {string} signedHash hash in base64
+ * @returns {boolean}
+ */
+export function verifySignature(signature, publicKey, signedHash) {
+  return verifyHashSignature(signature, publicKey, signedHash);
+}
+
+/**
+ * Sign hash with accessor key using configured provider
+ * @param {Object} data
+ * @param {string} data.url accessor sign callback URL (callback provider only)
+ * @param {Object} data.callbackBody body to POST to callback URL (callback provider only)
+ * @param {string} data.accessor_id
+ * @param {string} data.hashToSign hash in base64 to sign as is
+ * @param {string} data.messageToSign message to sign with RSA-SHA256 (instead of hashToSign)
+ * @returns {Promise<string>} signature in base64
+ */
+export function sign(data) {
+  return providers[config.accessorSignProvider](data);
+}
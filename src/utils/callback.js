@@ -30,6 +30,8 @@ import * as db from '../db';
 import logger from '../logger';
 
 const waitStopFunction = [];
+const retryingCbIds = new Set();
+const cbIdsToStop = new Set();
 let stopCallbackRetry = false;
 
 /**
@@ -63,41 +65,48 @@ async function callbackWithRetry(
     jitter: 0.2,
   });
 
-  for (;;) {
-    if (stopCallbackRetry) return;
-    try {
-      const response = await httpPost(callbackUrl, body);
-      db.removeCallbackWithRetryData(cbId);
-      if (responseCallback) {
-        responseCallback(response, dataForResponseCallback);
-      }
-      return;
-    } catch (error) {
-      const nextRetry = backoff.next();
+  retryingCbIds.add(cbId);
+  try {
+    for (;;) {
+      if (stopCallbackRetry) return;
+      if (cbIdsToStop.has(cbId)) return;
+      try {
+        const response = await httpPost(callbackUrl, body);
+        db.removeCallbackWithRetryData(cbId);
+        if (responseCallback) {
+          responseCallback(response, dataForResponseCallback);
+        }
+        return;
+      } catch (error) {
+        const nextRetry = backoff.next();
 
-      logger.error({
-        message: 'Cannot send callback to client application',
-        error,
-        cbId,
-      });
+        logger.error({
+          message: 'Cannot send callback to client application',
+          error,
+          cbId,
+        });
 
-      if (shouldRetry) {
-        if (!(await shouldRetry(...shouldRetryArguments))) {
-          db.removeCallbackWithRetryData(cbId);
-          return;
+        if (shouldRetry) {
+          if (!(await shouldRetry(...shouldRetryArguments))) {
+            db.removeCallbackWithRetryData(cbId);
+            return;
+          }
         }
-      }
 
-      logger.info({
-        message: `Retrying callback in ${nextRetry} milliseconds`,
-        cbId,
-      });
+        logger.info({
+          message: `Retrying callback in ${nextRetry} milliseconds`,
+          cbId,
+        });
 
-      const { promise: waitPromise, stopWaiting } = wait(nextRetry, true);
-      waitStopFunction.push(stopWaiting);
-      await waitPromise;
-      waitStopFunction.splice(waitStopFunction.indexOf(stopWaiting), 1);
+        const { promise: waitPromise, stopWaiting } = wait(nextRetry, true);
+        waitStopFunction.push(stopWaiting);
+        await waitPromise;
+        waitStopFunction.splice(waitStopFunction.indexOf(stopWaiting), 1);
+      }
     }
+  } finally {
+    retryingCbIds.delete(cbId);
+    cbIdsToStop.delete(cbId);
   }
 }
 
@@ -171,6 +180,25 @@ export async function resumeCallbackToClient(shouldRetry, responseCallback) {
   );
 }
 
+/**
+ * Stop retrying all pending callbacks about a request
+ * @param {string} requestId
+ */
+export async function stopCallbackRetriesForRequest(requestId) {
+  const callbackDatum = await db.getAllCallbackWithRetryData();
+  await Promise.all(
+    callbackDatum
+      .filter((callback) => callback.data.body.request_id === requestId)
+      .map((callback) => {
+        // Only callbacks which are being retried need to be told to stop
+        if (retryingCbIds.has(callback.cbId)) {
+          cbIdsToStop.add(callback.cbId);
+        }
+        return db.removeCallbackWithRetryData(callback.cbId);
+      })
+  );
+}
+
 export function stopAllCallbackRetries() {
   stopCallbackRetry = true;
   waitStopFunction.forEach((stopWaiting) => stopWaiting());
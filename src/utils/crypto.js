@@ -22,8 +22,16 @@
 
 import crypto from 'crypto';
 
+// DER encoded DigestInfo of SHA-256 before the hash
+const SHA256_DIGEST_INFO_PREFIX = Buffer.from(
+  '3031300d060960864801650304020105000420',
+  'hex'
+);
 const PBKDF2_ITERATIONS = 10000;
 const AES_KEY_LENGTH_IN_BYTES = 32;
+// Salted hash made before salt was given separately has base64 encoded
+// 8 bytes salt as its prefix
+const LEGACY_SALT_STRING_LENGTH = Math.ceil(8 / 3) * 4;
 
 /**
  * Hash given string with SHA-256
@@ -37,6 +45,28 @@ export function hash(stringToHash) {
   return hashStrBase64;
 }
 
+export function hashWithSalt(salt, stringToHash) {
+  return hash(salt + stringToHash);
+}
+
+/**
+ * Compare plain string with its salted hash.
+ * Salted hash in the format before salt was given separately
+ * (salt + hash) is compared when salt is not given.
+ * @param {Object} data
+ * @param {string} data.saltedHash
+ * @param {string} [data.salt]
+ * @param {string} data.plain
+ * @returns {boolean}
+ */
+export function compareSaltedHash({ saltedHash, salt, plain }) {
+  if (salt != null) {
+    return saltedHash === hashWithSalt(salt, plain);
+  }
+  const legacySalt = saltedHash.substring(0, LEGACY_SALT_STRING_LENGTH);
+  return saltedHash === legacySalt + hash(legacySalt + plain);
+}
+
 /**
  *
  * @param {(Object|string)} privateKey
@@ -113,6 +143,29 @@ export function randomHexBytes(length) {
   return crypto.randomBytes(length).toString('hex');
 }
 
+/**
+ * Check that signature is hash signed (RSA PKCS#1 v1.5)
+ * with private key of given public key.
+ * Signed data must be exactly the hash or the hash in SHA-256 DigestInfo.
+ * @param {string} signature signature in base64
+ * @param {string} publicKey
+ * @param {string} signedHash hash in base64
+ * @returns {boolean}
+ */
+export function verifyHashSignature(signature, publicKey, signedHash) {
+  try {
+    const decrypted = publicDecrypt(publicKey, signature);
+    const hashBuffer = Buffer.from(signedHash, 'base64');
+    if (hashBuffer.length === 0) return false;
+    return (
+      decrypted.equals(hashBuffer) ||
+      decrypted.equals(Buffer.concat([SHA256_DIGEST_INFO_PREFIX, hashBuffer]))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
 export function randomBase64Bytes(length) {
   return crypto.randomBytes(length).toString('base64');
 }
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import { Readable } from 'stream';
+
+// Multiple of 4 so that each piece is whole base64 characters group
+const base64DecodingPieceLength = 65536;
+
+/**
+ * Split data string into chunks of given length
+ * @param {string} data
+ * @param {number} chunkSize
+ * @returns {Array.<string>}
+ */
+export function splitDataIntoChunks(data, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += chunkSize) {
+    chunks.push(data.substring(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Check that chunk index and chunk count are in range
+ * @param {number} chunkIndex
+ * @param {number} chunkCount
+ * @returns {boolean}
+ */
+export function isChunkIndexValid(chunkIndex, chunkCount) {
+  return (
+    Number.isInteger(chunkCount) &&
+    Number.isInteger(chunkIndex) &&
+    chunkIndex >= 0 &&
+    chunkIndex < chunkCount
+  );
+}
+
+/**
+ * Join chunks in order of their index
+ * @param {Array.<Object>} chunks Each with chunk_index and chunk
+ * @param {number} chunkCount
+ * @returns {string} Data or null if not all chunks are received
+ */
+export function reassembleDataChunks(chunks, chunkCount) {
+  const chunkByIndex = {};
+  chunks.forEach(({ chunk_index, chunk }) => {
+    if (isChunkIndexValid(chunk_index, chunkCount)) {
+      chunkByIndex[chunk_index] = chunk;
+    }
+  });
+  if (Object.keys(chunkByIndex).length < chunkCount) return null;
+
+  let data = '';
+  for (let i = 0; i < chunkCount; i++) {
+    data += chunkByIndex[i];
+  }
+  return data;
+}
+
+/**
+ * Create stream of bytes decoded from base64 string a piece at a time
+ * so that the whole data is not decoded into memory at once
+ * @param {string} base64Data
+ * @returns {Readable}
+ */
+export function createBase64DecodingStream(base64Data) {
+  let offset = 0;
+  return new Readable({
+    read() {
+      if (offset >= base64Data.length) {
+        this.push(null);
+        return;
+      }
+      const piece = base64Data.substring(
+        offset,
+        offset + base64DecodingPieceLength
+      );
+      offset += base64DecodingPieceLength;
+      this.push(Buffer.from(piece, 'base64'));
+    },
+  });
+}
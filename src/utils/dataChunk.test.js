@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import * as dataChunk from './dataChunk';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('Test data chunk functions', () => {
+  it('should split data into chunks of given size', () => {
+    const chunks = dataChunk.splitDataIntoChunks('abcdefghij', 4);
+    expect(chunks).to.deep.equal(['abcd', 'efgh', 'ij']);
+  });
+
+  it('should reassemble chunks received out of order', () => {
+    const data = 'abcdefghij';
+    const chunks = dataChunk
+      .splitDataIntoChunks(data, 3)
+      .map((chunk, index) => ({ chunk_index: index, chunk }))
+      .reverse();
+    expect(dataChunk.reassembleDataChunks(chunks, chunks.length)).to.equal(
+      data
+    );
+  });
+
+  it('should not reassemble when a chunk is missing', () => {
+    const chunks = [
+      { chunk_index: 0, chunk: 'abc' },
+      { chunk_index: 2, chunk: 'ghi' },
+      { chunk_index: 2, chunk: 'ghi' },
+    ];
+    expect(dataChunk.reassembleDataChunks(chunks, 3)).to.be.null;
+  });
+
+  it('should ignore chunks with index out of range', () => {
+    const chunks = [
+      { chunk_index: 0, chunk: 'abc' },
+      { chunk_index: 3, chunk: 'jkl' },
+      { chunk_index: -1, chunk: 'xyz' },
+      { chunk_index: '1', chunk: 'def' },
+    ];
+    expect(dataChunk.reassembleDataChunks(chunks, 2)).to.be.null;
+    expect(dataChunk.isChunkIndexValid(1, 2)).to.be.true;
+    expect(dataChunk.isChunkIndexValid(2, 2)).to.be.false;
+    expect(dataChunk.isChunkIndexValid(0, 1.5)).to.be.false;
+  });
+
+  it('should decode base64 data as stream', (done) => {
+    const bytes = Buffer.alloc(200000);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = i % 256;
+    }
+    const received = [];
+    dataChunk
+      .createBase64DecodingStream(bytes.toString('base64'))
+      .on('data', (buffer) => received.push(buffer))
+      .on('end', () => {
+        expect(received.length).to.be.above(1);
+        expect(Buffer.concat(received).equals(bytes)).to.be.true;
+        done();
+      });
+  });
+});
@@ -24,6 +24,8 @@ import fs from 'fs';
 import crypto from 'crypto';
 
 import * as cryptoUtils from './crypto';
+import * as stringifyUtils from './stringify';
+import * as requestStatusUtils from './requestStatus';
 import * as config from '../config';
 import bignum from 'bignum';
 import { parseKey } from './asn1parser';
@@ -32,8 +34,7 @@ import constants from 'constants';
 import * as externalCryptoService from './externalCryptoService';
 
 //let nonce = Date.now() % 10000;
-const saltByteLength = 8;
-const saltStringLength = saltByteLength*2;
+const saltByteLength = 16;
 
 export function wait(ms, stoppable) {
   let setTimeoutFn;
@@ -47,6 +48,10 @@ export function wait(ms, stoppable) {
   return promise;
 }
 
+export function stringifyWithSortedKeys(value) {
+  return stringifyUtils.stringifyWithSortedKeys(value);
+}
+
 export function randomBase64Bytes(length) {
   return cryptoUtils.randomBase64Bytes(length);
 }
@@ -59,15 +64,16 @@ export function hash(stringToHash) {
   return cryptoUtils.hash(stringToHash);
 }
 
-export function hashWithRandomSalt(stringToHash) {
-  let saltByte = crypto.randomBytes(saltByteLength);
-  let saltString = saltByte.toString('base64');
-  return saltString + hash(saltString + stringToHash);
+export function generateSalt() {
+  return randomBase64Bytes(saltByteLength);
+}
+
+export function hashWithSalt(salt, stringToHash) {
+  return cryptoUtils.hashWithSalt(salt, stringToHash);
 }
 
-export function compareSaltedHash({saltedHash, plain}) {
-  let saltString = saltedHash.substring(0,saltStringLength);
-  return saltedHash === saltString + hash(saltString + plain);
+export function compareSaltedHash({ saltedHash, salt, plain }) {
+  return cryptoUtils.compareSaltedHash({ saltedHash, salt, plain });
 }
 
 export async function decryptAsymetricKey(cipher) {
@@ -331,122 +337,6 @@ export function createRequestId() {
   return cryptoUtils.randomHexBytes(32);
 }
 
-/**
- * @typedef {Object} RequestStatus
- * @property {string} request_id 
- * @property {string} status 
- * @property {number} min_idp 
- * @property {number} answered_idp_count 
- * @property {boolean} closed 
- * @property {boolean} timed_out 
- * @property {Object} service_list 
- * @property {string} service_list.service_id 
- * @property {number} service_list.min_as 
- * @property {number} service_list.signed_data_count 
- * @property {number} service_list.received_data_count 
- */
-/**
- * 
- * @param {Object} requestDetail 
- * @param {string} requestDetail.request_id 
- * @param {number} requestDetail.min_idp
- * @param {number} requestDetail.min_ial
- * @param {number} requestDetail.min_aal
- * @param {number} requestDetail.request_timeout
- * @param {Array.<Object>} requestDetail.data_request_list
- * @param {string} requestDetail.request_message_hash
- * @param {Array.<Object>} requestDetail.response_list
- * @param {boolean} requestDetail.closed
- * @param {boolean} requestDetail.timed_out
- * @returns {RequestStatus} requestStatus
- */
 export function getDetailedRequestStatus(requestDetail) {
-  if (requestDetail.response_list == null) {
-    requestDetail.response_list = [];
-  }
-
-  let status;
-  if (requestDetail.response_list.length === 0) {
-    status = 'pending';
-  }
-  // Check response's status
-  const responseCount = requestDetail.response_list.reduce(
-    (count, response) => {
-      if (response.status === 'accept') {
-        count.accept++;
-      } else if (response.status === 'reject') {
-        count.reject++;
-      }
-      return count;
-    },
-    {
-      accept: 0,
-      reject: 0,
-    }
-  );
-  if (responseCount.accept > 0 && responseCount.reject === 0) {
-    status = 'confirmed';
-  } else if (responseCount.accept === 0 && responseCount.reject > 0) {
-    status = 'rejected';
-  } else if (responseCount.accept > 0 && responseCount.reject > 0) {
-    status = 'complicated';
-  }
-
-  const serviceList = requestDetail.data_request_list.map((service) => {
-    const signedAnswerCount =
-      service.answered_as_id_list != null
-        ? service.answered_as_id_list.length
-        : 0;
-    const receivedDataCount = 
-      service.received_data_from_list != null
-        ? service.received_data_from_list.length
-        : 0;
-    return {
-      service_id: service.service_id,
-      min_as: service.min_as,
-      signed_data_count: signedAnswerCount,
-      received_data_count: receivedDataCount,
-    };
-  });
-
-  if (requestDetail.data_request_list.length === 0) {
-    // No data request
-    if (requestDetail.response_list.length === requestDetail.min_idp) {
-      if (responseCount.accept > 0 && responseCount.reject === 0) {
-        status = 'completed';
-      }
-    }
-  } else if (requestDetail.data_request_list.length > 0) {
-    const asSignedAnswerCount = serviceList.reduce(
-      (total, service) => ({
-        count: total.count + service.min_as,
-        signedAnswerCount: total.signedAnswerCount + service.signed_data_count,
-        receivedDataCount:
-          total.receivedDataCount + service.received_data_count,
-      }),
-      {
-        count: 0,
-        signedAnswerCount: 0,
-        receivedDataCount: 0,
-      }
-    );
-
-    if (
-      asSignedAnswerCount.count === asSignedAnswerCount.signedAnswerCount &&
-      asSignedAnswerCount.signedAnswerCount ===
-        asSignedAnswerCount.receivedDataCount
-    ) {
-      status = 'completed';
-    }
-  }
-  return {
-    mode: requestDetail.mode,
-    request_id: requestDetail.request_id,
-    status,
-    min_idp: requestDetail.min_idp,
-    answered_idp_count: requestDetail.response_list.length,
-    closed: requestDetail.closed,
-    timed_out: requestDetail.timed_out,
-    service_list: serviceList,
-  };
+  return requestStatusUtils.getDetailedRequestStatus(requestDetail);
 }
\ No newline at end of file
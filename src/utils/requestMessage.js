@@ -33,6 +33,10 @@ const addAccessorTemplate = fs.readFileSync(
   config.addAccessorRequestMessageTemplateFilepath,
   'utf8'
 );
+const updateIdentityTemplate = fs.readFileSync(
+  config.updateIdentityRequestMessageTemplateFilepath,
+  'utf8'
+);
 
 export function getRequestMessageForCreatingIdentity({
   reference_id,
@@ -65,3 +69,23 @@ export function getRequestMessageForAddingAccessor({
     node_name,
   });
 }
+
+export function getRequestMessageForUpdatingIdentity({
+  reference_id,
+  namespace,
+  identifier,
+  new_namespace,
+  new_identifier,
+  node_id,
+  node_name,
+}) {
+  return mustache.render(updateIdentityTemplate, {
+    reference_id,
+    namespace,
+    identifier,
+    new_namespace,
+    new_identifier,
+    node_id,
+    node_name,
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+/**
+ * @typedef {Object} RequestStatus
+ * @property {string} request_id 
+ * @property {string} status 
+ * @property {number} min_idp 
+ * @property {number} answered_idp_count 
+ * @property {boolean} closed 
+ * @property {boolean} timed_out 
+ * @property {Object} service_list 
+ * @property {string} service_list.service_id 
+ * @property {number} service_list.min_as 
+ * @property {number} service_list.signed_data_count 
+ * @property {number} service_list.received_data_count 
+ * @property {Array.<Object>} service_list.declined_as_list 
+ * @property {boolean} service_list.min_as_unreachable Whether too many ASes
+ *   in "as_id_list" declined for "min_as" to be reached
+ * @property {boolean} data_unavailable Whether any service has "min_as_unreachable"
+ */
+/**
+ * 
+ * @param {Object} requestDetail 
+ * @param {string} requestDetail.request_id 
+ * @param {number} requestDetail.min_idp
+ * @param {number} requestDetail.min_ial
+ * @param {number} requestDetail.min_aal
+ * @param {number} requestDetail.request_timeout
+ * @param {Array.<Object>} requestDetail.data_request_list
+ * @param {string} requestDetail.request_message_hash
+ * @param {Array.<Object>} requestDetail.response_list
+ * @param {boolean} requestDetail.closed
+ * @param {boolean} requestDetail.timed_out
+ * @returns {RequestStatus} requestStatus
+ */
+export function getDetailedRequestStatus(requestDetail) {
+  if (requestDetail.response_list == null) {
+    requestDetail.response_list = [];
+  }
+
+  let status;
+  if (requestDetail.response_list.length === 0) {
+    status = 'pending';
+  }
+  // Check response's status
+  const responseCount = requestDetail.response_list.reduce(
+    (count, response) => {
+      if (response.status === 'accept') {
+        count.accept++;
+      } else if (response.status === 'reject') {
+        count.reject++;
+      }
+      return count;
+    },
+    {
+      accept: 0,
+      reject: 0,
+    }
+  );
+  if (responseCount.accept > 0 && responseCount.reject === 0) {
+    status = 'confirmed';
+  } else if (responseCount.accept === 0 && responseCount.reject > 0) {
+    status = 'rejected';
+  } else if (responseCount.accept > 0 && responseCount.reject > 0) {
+    status = 'complicated';
+  }
+
+  const serviceList = requestDetail.data_request_list.map((service) => {
+    const signedAnswerCount =
+      service.answered_as_id_list != null
+        ? service.answered_as_id_list.length
+        : 0;
+    const receivedDataCount = 
+      service.received_data_from_list != null
+        ? service.received_data_from_list.length
+        : 0;
+    const declinedAsList =
+      service.declined_as_list != null ? service.declined_as_list : [];
+    // Any AS offering the service may answer when AS list is not specified
+    const minAsUnreachable =
+      service.as_id_list != null &&
+      service.as_id_list.length > 0 &&
+      service.as_id_list.length - declinedAsList.length < service.min_as;
+    return {
+      service_id: service.service_id,
+      min_as: service.min_as,
+      signed_data_count: signedAnswerCount,
+      received_data_count: receivedDataCount,
+      declined_as_list: declinedAsList,
+      min_as_unreachable: minAsUnreachable,
+    };
+  });
+
+  if (requestDetail.data_request_list.length === 0) {
+    // No data request
+    if (requestDetail.response_list.length === requestDetail.min_idp) {
+      if (responseCount.accept > 0 && responseCount.reject === 0) {
+        status = 'completed';
+      }
+    }
+  } else if (requestDetail.data_request_list.length > 0) {
+    const asSignedAnswerCount = serviceList.reduce(
+      (total, service) => ({
+        count: total.count + service.min_as,
+        signedAnswerCount: total.signedAnswerCount + service.signed_data_count,
+        receivedDataCount:
+          total.receivedDataCount + service.received_data_count,
+      }),
+      {
+        count: 0,
+        signedAnswerCount: 0,
+        receivedDataCount: 0,
+      }
+    );
+
+    if (
+      asSignedAnswerCount.count === asSignedAnswerCount.signedAnswerCount &&
+      asSignedAnswerCount.signedAnswerCount ===
+        asSignedAnswerCount.receivedDataCount
+    ) {
+      status = 'completed';
+    }
+  }
+  return {
+    mode: requestDetail.mode,
+    request_id: requestDetail.request_id,
+    status,
+    min_idp: requestDetail.min_idp,
+    answered_idp_count: requestDetail.response_list.length,
+    closed: requestDetail.closed,
+    timed_out: requestDetail.timed_out,
+    service_list: serviceList,
+    data_unavailable: serviceList.some((service) => service.min_as_unreachable),
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import { getDetailedRequestStatus } from './requestStatus';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+function createRequestDetail(service) {
+  return {
+    request_id: 'request1',
+    mode: 3,
+    min_idp: 1,
+    response_list: [{ idp_id: 'idp1', status: 'accept' }],
+    data_request_list: [
+      {
+        service_id: 'bank_statement',
+        as_id_list: ['as1', 'as2', 'as3'],
+        min_as: 2,
+        answered_as_id_list: [],
+        received_data_from_list: [],
+        ...service,
+      },
+    ],
+    closed: false,
+    timed_out: false,
+  };
+}
+
+describe('Test detailed request status', () => {
+  it('should not be data unavailable while enough ASes have not declined', () => {
+    const requestStatus = getDetailedRequestStatus(
+      createRequestDetail({
+        declined_as_list: [{ as_id: 'as1', reason_code: 'no_record' }],
+      })
+    );
+    expect(requestStatus.status).to.equal('confirmed');
+    expect(requestStatus.service_list[0].declined_as_list).to.have.lengthOf(1);
+    expect(requestStatus.service_list[0].min_as_unreachable).to.be.false;
+    expect(requestStatus.data_unavailable).to.be.false;
+  });
+
+  it('should be data unavailable when declines make min_as unreachable', () => {
+    const requestStatus = getDetailedRequestStatus(
+      createRequestDetail({
+        answered_as_id_list: ['as3'],
+        received_data_from_list: ['as3'],
+        declined_as_list: [
+          { as_id: 'as1', reason_code: 'no_record' },
+          { as_id: 'as2', reason_code: 'refused' },
+        ],
+      })
+    );
+    expect(requestStatus.status).to.not.equal('completed');
+    expect(requestStatus.service_list[0].min_as_unreachable).to.be.true;
+    expect(requestStatus.data_unavailable).to.be.true;
+  });
+
+  it('should not be data unavailable when AS list is not specified', () => {
+    const requestStatus = getDetailedRequestStatus(
+      createRequestDetail({
+        as_id_list: [],
+        declined_as_list: [
+          { as_id: 'as1', reason_code: 'no_record' },
+          { as_id: 'as2', reason_code: 'refused' },
+        ],
+      })
+    );
+    expect(requestStatus.data_unavailable).to.be.false;
+  });
+
+  it('should be completed when enough ASes sent data despite declines', () => {
+    const requestStatus = getDetailedRequestStatus(
+      createRequestDetail({
+        answered_as_id_list: ['as2', 'as3'],
+        received_data_from_list: ['as2', 'as3'],
+        declined_as_list: [{ as_id: 'as1', reason_code: 'no_record' }],
+      })
+    );
+    expect(requestStatus.status).to.equal('completed');
+    expect(requestStatus.data_unavailable).to.be.false;
+  });
+
+  it('should default declined AS list to empty list', () => {
+    const requestStatus = getDetailedRequestStatus(createRequestDetail({}));
+    expect(requestStatus.service_list[0].declined_as_list).to.deep.equal([]);
+  });
+});
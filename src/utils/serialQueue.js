@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+/**
+ * Create queue which runs functions with the same key one after another
+ * so that checking and saving state of the same key are not interleaved.
+ * Functions with different keys run concurrently.
+ * @returns {function(string, function): Promise} Function taking key and
+ *   async function to run, resolves or rejects with its result
+ */
+export function createSerialQueue() {
+  const promisesByKey = {};
+  return async (key, fn) => {
+    const previousPromise = promisesByKey[key];
+    const promise = (async () => {
+      if (previousPromise != null) {
+        try {
+          await previousPromise;
+        } catch (error) {
+          // Handled by caller of previous function
+        }
+      }
+      return fn();
+    })();
+    promisesByKey[key] = promise;
+    try {
+      return await promise;
+    } finally {
+      if (promisesByKey[key] === promise) {
+        delete promisesByKey[key];
+      }
+    }
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import { createSerialQueue } from './serialQueue';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('Test serial queue', () => {
+  it('should let only one of concurrent submissions with the same key pass check', async () => {
+    const runInQueue = createSerialQueue();
+    const submissions = {};
+    // Check then save with a wait in between like reading and writing db
+    const submit = (key, data) =>
+      runInQueue(key, async () => {
+        const submission = submissions[key];
+        await delay(5);
+        if (submission != null) {
+          throw new Error('Data has already been submitted');
+        }
+        submissions[key] = data;
+        return data;
+      });
+
+    const results = await Promise.all(
+      [1, 2, 3, 4].map((data) =>
+        submit('request1:service1', data).then(
+          () => 'submitted',
+          () => 'rejected'
+        )
+      )
+    );
+    expect(results.filter((result) => result === 'submitted')).to.have.lengthOf(
+      1
+    );
+    expect(submissions['request1:service1']).to.equal(1);
+  });
+
+  it('should run functions with different keys concurrently', async () => {
+    const runInQueue = createSerialQueue();
+    const order = [];
+    await Promise.all([
+      runInQueue('a', async () => {
+        await delay(20);
+        order.push('a');
+      }),
+      runInQueue('b', async () => {
+        order.push('b');
+      }),
+    ]);
+    expect(order).to.deep.equal(['b', 'a']);
+  });
+
+  it('should run next function after previous one with the same key failed', async () => {
+    const runInQueue = createSerialQueue();
+    const failed = runInQueue('a', async () => {
+      throw new Error('failed');
+    });
+    const next = runInQueue('a', async () => 'done');
+    let error;
+    try {
+      await failed;
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+    expect(await next).to.equal('done');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2018, 2019 National Digital ID COMPANY LIMITED
+ * 
+ * This file is part of NDID software.
+ * 
+ * NDID is the free software: you can redistribute it and/or modify it under
+ * the terms of the Affero GNU General Public License as published by the
+ * Free Software Foundation, either version 3 of the License, or any later
+ * version.
+ * 
+ * NDID is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the Affero GNU General Public License for more details.
+ * 
+ * You should have received a copy of the Affero GNU General Public License
+ * along with the NDID source code. If not, see https://www.gnu.org/licenses/agpl.txt.
+ * 
+ * Please contact info@ndid.co.th for any further questions
+ * 
+ */
+
+import { stringifyWithSortedKeys } from './stringify';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('Test stringify with sorted keys', () => {
+  it('should produce the same string for objects with keys in different order', () => {
+    const a = { b: 1, a: { d: [1, 2], c: 'x' } };
+    const b = { a: { c: 'x', d: [1, 2] }, b: 1 };
+    expect(stringifyWithSortedKeys(a)).to.equal(stringifyWithSortedKeys(b));
+    expect(stringifyWithSortedKeys(a)).to.equal(
+      '{"a":{"c":"x","d":[1,2]},"b":1}'
+    );
+  });
+
+  it('should keep order of array items', () => {
+    expect(stringifyWithSortedKeys([2, 1])).to.not.equal(
+      stringifyWithSortedKeys([1, 2])
+    );
+  });
+
+  it('should omit undefined properties like JSON.stringify', () => {
+    const value = { a: 1, b: undefined, c: [undefined, null] };
+    expect(stringifyWithSortedKeys(value)).to.equal(JSON.stringify(value));
+  });
+
+  it('should differentiate values of different types', () => {
+    expect(stringifyWithSortedKeys({ a: 1 })).to.not.equal(
+      stringifyWithSortedKeys({ a: '1' })
+    );
+    expect(stringifyWithSortedKeys({ a: null })).to.not.equal(
+      stringifyWithSortedKeys({})
+    );
+  });
+});